@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+
+// Shows the sign-in details for a newly invited admin or a reset password.
+// The password is not stored anywhere readable, so this is the only chance
+// to copy it.
+export default function AdminCredentialsDialog({ title, username, password, onClose }) {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(`Username: ${username}\nPassword: ${password}`);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      alert('Could not copy to the clipboard. Please select the details and copy them manually.');
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="credentials-dialog-title"
+        className="bg-white rounded-lg shadow-xl w-full max-w-md p-5 sm:p-6 space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div>
+          <h2 id="credentials-dialog-title" className="text-lg font-semibold text-gray-900">{title}</h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Share these details with {username} privately. The password is not shown again.
+          </p>
+        </div>
+
+        <dl className="bg-gray-50 border border-gray-200 rounded-md p-3 space-y-2 text-sm">
+          <div className="flex gap-2">
+            <dt className="w-20 text-gray-500">Username</dt>
+            <dd className="font-mono text-gray-900 break-all">{username}</dd>
+          </div>
+          <div className="flex gap-2">
+            <dt className="w-20 text-gray-500">Password</dt>
+            <dd className="font-mono text-gray-900 break-all">{password}</dd>
+          </div>
+        </dl>
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={handleCopy} className="btn-secondary">
+            {copied ? 'Copied!' : 'Copy'}
+          </button>
+          <button type="button" onClick={onClose} className="btn-primary">
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react';
+import {
+  getAnswerFilterOperators,
+  getOperatorLabel,
+  getValueInput,
+  createAnswerFilter,
+  updateAnswerFilter,
+  isCompleteAnswerFilter,
+  describeAnswerFilter
+} from '../lib/answerFilters';
+
+const inputClass = 'text-sm px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 w-full';
+
+// Edits the answer filters as a draft; nothing is fetched until Apply, so
+// half-written conditions never reach the server. All conditions must match.
+export default function AnswerFilterBuilder({ columns = [], filters = [], onApply }) {
+  const [draft, setDraft] = useState(filters);
+  const [isExpanded, setIsExpanded] = useState(filters.length > 0);
+
+  useEffect(() => {
+    setDraft(filters);
+    if (filters.length > 0) setIsExpanded(true);
+  }, [filters]);
+
+  const updateCondition = (index, changes) => {
+    setDraft(draft.map((filter, i) => (i === index ? updateAnswerFilter(filter, changes, columns) : filter)));
+  };
+
+  const addCondition = () => {
+    setDraft([...draft, createAnswerFilter(columns[0])]);
+  };
+
+  const removeCondition = (index) => {
+    setDraft(draft.filter((_, i) => i !== index));
+  };
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(filters);
+  const incomplete = draft.filter(filter => !isCompleteAnswerFilter(filter)).length;
+
+  const renderValueInput = (filter, index) => {
+    const column = columns.find(c => c.name === filter.field);
+    const input = getValueInput(filter.operator, column?.field);
+    if (!input) return null;
+
+    const type = column?.type === 'number' ? 'number' : column?.type === 'date' ? 'date' : 'text';
+
+    if (input === 'range') {
+      const range = filter.value || {};
+      return (
+        <div className="flex items-center gap-2">
+          <input
+            type={type}
+            value={range.from ?? ''}
+            onChange={(e) => updateCondition(index, { value: { ...range, from: e.target.value } })}
+            className={inputClass}
+            placeholder="From"
+            aria-label="From"
+          />
+          <span className="text-xs text-gray-500">and</span>
+          <input
+            type={type}
+            value={range.to ?? ''}
+            onChange={(e) => updateCondition(index, { value: { ...range, to: e.target.value } })}
+            className={inputClass}
+            placeholder="To"
+            aria-label="To"
+          />
+        </div>
+      );
+    }
+
+    if (input === 'option') {
+      return (
+        <select
+          value={filter.value ?? ''}
+          onChange={(e) => updateCondition(index, { value: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">-- Select option --</option>
+          {column.field.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type={type}
+        value={filter.value ?? ''}
+        onChange={(e) => updateCondition(index, { value: e.target.value })}
+        className={inputClass}
+        placeholder="Value"
+      />
+    );
+  };
+
+  return (
+    <div className="pt-2 border-t border-gray-200">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1.5"
+      >
+        <svg
+          className={`w-4 h-4 transition-transform ${isExpanded ? 'transform rotate-90' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+        </svg>
+        Answer Filters
+        {filters.length > 0 && (
+          <span className="ml-1 px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">
+            {filters.length} active
+          </span>
+        )}
+      </button>
+
+      {!isExpanded && filters.length > 0 && (
+        <p className="mt-2 text-xs text-gray-500">
+          {filters.map(filter => describeAnswerFilter(filter, columns)).join(' AND ')}
+        </p>
+      )}
+
+      {isExpanded && (
+        <div className="mt-3 space-y-3">
+          {columns.length === 0 ? (
+            <p className="text-xs text-gray-500">This form has no fields to filter on.</p>
+          ) : (
+            <>
+              {draft.length === 0 && (
+                <p className="text-xs text-gray-500">
+                  Only show submissions whose answers match every condition.
+                </p>
+              )}
+
+              {draft.map((filter, index) => {
+                const column = columns.find(c => c.name === filter.field);
+                return (
+                  <div key={index} className="bg-gray-50 p-2 rounded border border-gray-200">
+                    <div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_1.5fr_auto] gap-2 items-center">
+                      <select
+                        value={filter.field}
+                        onChange={(e) => updateCondition(index, { field: e.target.value })}
+                        className={`${inputClass} ${column ? '' : 'border-red-400'}`}
+                      >
+                        {!column && <option value={filter.field}>Missing field ({filter.field || 'none'})</option>}
+                        {columns.map(c => (
+                          <option key={c.name} value={c.name}>{c.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={filter.operator}
+                        onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                        className={inputClass}
+                      >
+                        {getAnswerFilterOperators(column?.type).map(op => (
+                          <option key={op} value={op}>{getOperatorLabel(op, column?.type)}</option>
+                        ))}
+                      </select>
+                      <div>{renderValueInput(filter, index)}</div>
+                      <button
+                        type="button"
+                        onClick={() => removeCondition(index)}
+                        className="text-xs px-2 py-1 bg-red-100 text-red-700 rounded hover:bg-red-200"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+
+              <div className="flex flex-wrap items-center gap-2">
+                <button
+                  type="button"
+                  onClick={addCondition}
+                  className="text-xs px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700"
+                >
+                  + Add Condition
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onApply(draft.filter(isCompleteAnswerFilter))}
+                  disabled={!isDirty}
+                  className="text-xs px-2 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+                >
+                  Apply Filters
+                </button>
+                {isDirty && (
+                  <button
+                    type="button"
+                    onClick={() => setDraft(filters)}
+                    className="text-xs px-2 py-1 text-gray-600 hover:text-gray-900"
+                  >
+                    Discard changes
+                  </button>
+                )}
+                {incomplete > 0 && (
+                  <span className="text-xs text-amber-700">
+                    {incomplete} incomplete condition{incomplete !== 1 ? 's' : ''} will be ignored
+                  </span>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
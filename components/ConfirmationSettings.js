@@ -0,0 +1,129 @@
+import { useRef } from 'react';
+import {
+  getConfirmation,
+  getPlaceholderFields,
+  getMessagePlaceholders,
+  validateConfirmation,
+  DEFAULT_CONFIRMATION_MESSAGE
+} from '../lib/formConfirmation';
+
+// Editor card for what respondents see after submitting: the thank-you
+// message, an optional redirect and the "submit another response" button
+export default function ConfirmationSettings({ confirmation, fields = [], onChange }) {
+  const messageRef = useRef(null);
+  const settings = getConfirmation({ confirmation });
+  const placeholderFields = getPlaceholderFields(fields);
+  const knownNames = new Set(placeholderFields.map(field => field.name));
+  const unknownPlaceholders = getMessagePlaceholders(settings.message).filter(name => !knownNames.has(name));
+  const redirectError = validateConfirmation(settings);
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  // Inserts at the cursor so admins can build the message around answers
+  const insertPlaceholder = (name) => {
+    const textarea = messageRef.current;
+    const placeholder = `{{${name}}}`;
+    const start = textarea ? textarea.selectionStart : settings.message.length;
+    const end = textarea ? textarea.selectionEnd : settings.message.length;
+    update({ message: settings.message.slice(0, start) + placeholder + settings.message.slice(end) });
+    requestAnimationFrame(() => {
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(start + placeholder.length, start + placeholder.length);
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Thank-you Screen</h2>
+        <p className="text-sm text-gray-500">Shown to respondents after they submit</p>
+      </div>
+
+      <div>
+        <label htmlFor="confirmation-message" className="block text-sm font-medium text-gray-700 mb-1.5">
+          Message
+        </label>
+        <textarea
+          id="confirmation-message"
+          ref={messageRef}
+          value={settings.message}
+          onChange={(e) => update({ message: e.target.value })}
+          className="input-field"
+          rows="4"
+          placeholder={DEFAULT_CONFIRMATION_MESSAGE}
+          maxLength={2000}
+        />
+        <p className="mt-1 text-xs text-gray-500">
+          Blank lines start a new paragraph. Insert an answer with {'{{field_name}}'}.
+        </p>
+        {placeholderFields.length > 0 && (
+          <div className="mt-2 flex flex-wrap gap-1.5">
+            {placeholderFields.map(field => (
+              <button
+                key={field.name}
+                type="button"
+                onClick={() => insertPlaceholder(field.name)}
+                className="px-2 py-0.5 text-xs font-mono rounded bg-gray-100 text-gray-700 hover:bg-blue-100 hover:text-blue-800"
+                title={field.label}
+              >
+                {`{{${field.name}}}`}
+              </button>
+            ))}
+          </div>
+        )}
+        {unknownPlaceholders.length > 0 && (
+          <p className="mt-1.5 text-xs text-amber-700">
+            No field named {unknownPlaceholders.join(', ')}. These placeholders will be left blank.
+          </p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="confirmation-redirect" className="block text-sm font-medium text-gray-700 mb-1.5">
+          Redirect URL
+        </label>
+        <input
+          id="confirmation-redirect"
+          type="url"
+          value={settings.redirectUrl}
+          onChange={(e) => update({ redirectUrl: e.target.value })}
+          className={`input-field ${redirectError ? 'input-error' : ''}`}
+          placeholder="https://example.com/thanks"
+        />
+        {redirectError ? (
+          <p className="mt-1 text-xs text-red-600">{redirectError}</p>
+        ) : (
+          <p className="mt-1 text-xs text-gray-500">
+            Optional. Respondents see the message briefly, then go to this page.
+          </p>
+        )}
+        <label className="mt-2 flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.includeAnswersInRedirect}
+            onChange={(e) => update({ includeAnswersInRedirect: e.target.checked })}
+            disabled={!settings.redirectUrl.trim()}
+            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 disabled:opacity-50"
+          />
+          Pass answers to the redirect URL as query parameters (files are left out)
+        </label>
+        {settings.includeAnswersInRedirect && settings.redirectUrl.trim() && (
+          <p className="mt-1 ml-6 text-xs text-gray-500">
+            Embedded copies of the form don&apos;t redirect on their own with answers attached; respondents click Continue instead.
+          </p>
+        )}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={settings.allowAnotherResponse}
+          onChange={(e) => update({ allowAnotherResponse: e.target.checked })}
+          className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+        />
+        Show a &quot;Submit another response&quot; button
+      </label>
+    </div>
+  );
+}
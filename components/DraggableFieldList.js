@@ -1,6 +1,10 @@
 import { DragDropContext, Droppable, Draggable } from "@hello-pangea/dnd";
 import FieldEditor from "./FieldEditor";
-import { useMemo, useCallback } from "react";
+import PageBreakMarker from "./PageBreakMarker";
+import FieldCopyPicker from "./FieldCopyPicker";
+import { useState, useMemo, useCallback } from "react";
+import { PAGE_BREAK_TYPE, isPageBreak, countInputFields } from "../lib/formPages";
+import { copyFieldInto } from "../lib/formTransfer";
 
 // Helper to generate stable unique IDs
 const generateStableId = (field, index) => {
@@ -12,14 +16,18 @@ const generateStableId = (field, index) => {
   return `field-temp-${index}`;
 };
 
-export default function DraggableFieldList({ fields, onFieldsChange }) {
-  // Create stable drag IDs for all fields - memoized to prevent re-calculation
+export default function DraggableFieldList({ fields, onFieldsChange, formId }) {
+  const [showCopyPicker, setShowCopyPicker] = useState(false);
+
+  // Create stable drag IDs for all fields. IDs derive from the field itself, so
+  // recomputing on every change keeps edits that don't touch the name (e.g.
+  // required, page titles) instead of serving a stale copy.
   const fieldsWithStableIds = useMemo(() => {
     return fields.map((field, index) => ({
       ...field,
       _dragId: generateStableId(field, index),
     }));
-  }, [fields.map((f, i) => `${f._id || f._dragId || i}-${f.name || ''}`).join(',')]);
+  }, [fields]);
 
   const handleDragEnd = useCallback(
     (result) => {
@@ -96,6 +104,53 @@ export default function DraggableFieldList({ fields, onFieldsChange }) {
     onFieldsChange([...fieldsWithStableIds, newField]);
   }, [fieldsWithStableIds, onFieldsChange]);
 
+  const handleAddPageBreak = useCallback(() => {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substr(2, 9);
+    const newId = `page_break_${timestamp}_${random}`;
+    const pageNumber =
+      fieldsWithStableIds.filter((field) => isPageBreak(field)).length + 2;
+
+    const pageBreak = {
+      label: `Page ${pageNumber}`,
+      name: newId,
+      type: PAGE_BREAK_TYPE,
+      required: false,
+      options: [],
+      validation: {},
+      order: fieldsWithStableIds.length,
+      _id: newId,
+      _dragId: newId,
+    };
+
+    onFieldsChange([...fieldsWithStableIds, pageBreak]);
+  }, [fieldsWithStableIds, onFieldsChange]);
+
+  const handleCopyField = useCallback(
+    (sourceField) => {
+      const { field, notes } = copyFieldInto(sourceField, fieldsWithStableIds);
+      const newId = `field_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+      onFieldsChange([
+        ...fieldsWithStableIds,
+        {
+          ...field,
+          order: fieldsWithStableIds.length,
+          _id: newId,
+          _dragId: newId,
+        },
+      ]);
+      setShowCopyPicker(false);
+      if (notes.length > 0) {
+        alert(`"${field.label}" was copied.\n\n${notes.join("\n")}`);
+      }
+    },
+    [fieldsWithStableIds, onFieldsChange]
+  );
+
+  const inputFieldCount = countInputFields(fields);
+  const pageCount = fields.filter((field) => isPageBreak(field)).length + 1;
+
   return (
     <div>
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 sm:gap-4 mb-4 sm:mb-5">
@@ -104,32 +159,60 @@ export default function DraggableFieldList({ fields, onFieldsChange }) {
             Form Fields
           </h3>
           <p className="text-xs sm:text-sm text-gray-500 mt-0.5">
-            {fields.length} field{fields.length !== 1 ? "s" : ""} • Drag to
+            {inputFieldCount} field{inputFieldCount !== 1 ? "s" : ""}
+            {pageCount > 1 ? ` on ${pageCount} pages` : ""} • Drag to
             reorder
           </p>
         </div>
-        <button
-          onClick={handleAddField}
-          className="btn-primary text-sm sm:text-base w-full sm:w-auto whitespace-nowrap"
-          type="button"
-        >
-          <svg
-            className="inline-block h-4 w-4 mr-1.5"
-            fill="none"
-            stroke="currentColor"
-            viewBox="0 0 24 24"
+        <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+          <button
+            onClick={() => setShowCopyPicker(!showCopyPicker)}
+            className="btn-secondary text-sm sm:text-base w-full sm:w-auto whitespace-nowrap"
+            type="button"
           >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M12 4v16m8-8H4"
-            />
-          </svg>
-          Add Field
-        </button>
+            Copy From Form
+          </button>
+          {fields.length > 0 && (
+            <button
+              onClick={handleAddPageBreak}
+              className="btn-secondary text-sm sm:text-base w-full sm:w-auto whitespace-nowrap"
+              type="button"
+              title="Split the form into steps from this point"
+            >
+              Add Page Break
+            </button>
+          )}
+          <button
+            onClick={handleAddField}
+            className="btn-primary text-sm sm:text-base w-full sm:w-auto whitespace-nowrap"
+            type="button"
+          >
+            <svg
+              className="inline-block h-4 w-4 mr-1.5"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M12 4v16m8-8H4"
+              />
+            </svg>
+            Add Field
+          </button>
+        </div>
       </div>
 
+      {showCopyPicker && (
+        <FieldCopyPicker
+          excludeFormId={formId}
+          onCopy={handleCopyField}
+          onClose={() => setShowCopyPicker(false)}
+        />
+      )}
+
       {fields.length === 0 ? (
         <div className="text-center py-8 sm:py-12 bg-gray-50 rounded-lg border-2 border-dashed border-gray-300">
           <svg
@@ -218,13 +301,35 @@ export default function DraggableFieldList({ fields, onFieldsChange }) {
                               </svg>
                             </div>
                             <div className="flex-1 min-w-0">
-                              <FieldEditor
-                                field={field}
-                                onUpdate={(updatedField) =>
-                                  handleFieldUpdate(index, updatedField)
-                                }
-                                onDelete={() => handleFieldDelete(index)}
-                              />
+                              {isPageBreak(field) ? (
+                                <PageBreakMarker
+                                  field={field}
+                                  pageNumber={
+                                    fieldsWithStableIds
+                                      .slice(0, index + 1)
+                                      .filter((f) => isPageBreak(f)).length + 1
+                                  }
+                                  onUpdate={(updatedField) =>
+                                    handleFieldUpdate(index, updatedField)
+                                  }
+                                  onDelete={() => handleFieldDelete(index)}
+                                />
+                              ) : (
+                                <FieldEditor
+                                  field={field}
+                                  otherFields={fieldsWithStableIds.filter(
+                                    (f, i) =>
+                                      i !== index &&
+                                      !isPageBreak(f) &&
+                                      f.name &&
+                                      f.label
+                                  )}
+                                  onUpdate={(updatedField) =>
+                                    handleFieldUpdate(index, updatedField)
+                                  }
+                                  onDelete={() => handleFieldDelete(index)}
+                                />
+                              )}
                             </div>
                           </div>
                         </div>
@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import { buildIframeSnippet, buildScriptSnippet, getEmbedUrl, DEFAULT_EMBED_HEIGHT } from '../lib/embed';
+
+const SNIPPETS = [
+  {
+    value: 'script',
+    label: 'Script tag',
+    build: buildScriptSnippet,
+    help: 'Resizes to fit the form and fires formembed:submit, formembed:success and formembed:error events on the page.'
+  },
+  {
+    value: 'iframe',
+    label: 'iframe',
+    build: buildIframeSnippet,
+    help: `Works where scripts aren't allowed. The frame keeps a fixed height of ${DEFAULT_EMBED_HEIGHT}px, so adjust it to fit the form.`
+  }
+];
+
+export default function EmbedCodeDialog({ form, onClose }) {
+  const [snippetType, setSnippetType] = useState('script');
+  const [copied, setCopied] = useState(false);
+  const [origin, setOrigin] = useState('');
+
+  useEffect(() => {
+    setOrigin(window.location.origin);
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const snippet = SNIPPETS.find(option => option.value === snippetType);
+  const code = origin ? snippet.build(origin, form) : '';
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      alert('Could not copy to the clipboard. Please select the code and copy it manually.');
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="embed-dialog-title"
+        className="bg-white rounded-lg shadow-xl w-full max-w-lg p-5 sm:p-6 space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div className="min-w-0">
+            <h2 id="embed-dialog-title" className="text-lg font-semibold text-gray-900">Embed Form</h2>
+            <p className="text-sm text-gray-500 truncate">{form.title}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {!form.isActive && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-3">
+            <p className="text-sm text-amber-800">
+              This form is inactive. The embed will show a notice until it is activated.
+            </p>
+          </div>
+        )}
+
+        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-sm font-medium">
+          {SNIPPETS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => {
+                setSnippetType(option.value);
+                setCopied(false);
+              }}
+              className={`px-3 py-1.5 ${
+                snippetType === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div>
+          <textarea
+            readOnly
+            value={code}
+            rows={4}
+            onFocus={(e) => e.target.select()}
+            className="input-field font-mono text-xs resize-none"
+            aria-label="Embed code"
+          />
+          <p className="mt-1.5 text-xs text-gray-500">{snippet.help}</p>
+        </div>
+
+        <div className="flex flex-col-reverse sm:flex-row sm:items-center sm:justify-between gap-3">
+          {origin && (
+            <a
+              href={getEmbedUrl(origin, form._id)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-sm font-medium text-blue-600 hover:text-blue-800"
+            >
+              Open embed view
+            </a>
+          )}
+          <button type="button" onClick={handleCopy} disabled={!code} className="btn-primary">
+            {copied ? 'Copied!' : 'Copy Code'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
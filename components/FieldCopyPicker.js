@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { formsAPI } from '../lib/api';
+import { isPageBreak } from '../lib/formPages';
+
+// excludeFormId is the form being edited, which can't be copied from
+export default function FieldCopyPicker({ excludeFormId, onCopy, onClose }) {
+  const [forms, setForms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedFormId, setSelectedFormId] = useState('');
+
+  useEffect(() => {
+    formsAPI.getAll()
+      .then(response => {
+        const withFields = response.data.filter(form =>
+          form._id !== excludeFormId && (form.fields || []).some(field => !isPageBreak(field))
+        );
+        setForms(withFields);
+        if (withFields.length > 0) setSelectedFormId(withFields[0]._id);
+      })
+      .catch(() => setError('Failed to load forms.'))
+      .finally(() => setLoading(false));
+  }, [excludeFormId]);
+
+  const selectedForm = forms.find(form => form._id === selectedFormId);
+  const fields = selectedForm
+    ? [...selectedForm.fields]
+        .filter(field => !isPageBreak(field))
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    : [];
+
+  return (
+    <div className="mb-4 sm:mb-5 border border-blue-200 bg-blue-50/40 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-semibold text-gray-900">Copy a Field From Another Form</h4>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label="Close"
+        >
+          <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading forms...</p>
+      ) : error ? (
+        <p className="text-sm text-red-700">{error}</p>
+      ) : forms.length === 0 ? (
+        <p className="text-sm text-gray-500">There are no other forms with fields to copy from.</p>
+      ) : (
+        <>
+          <select
+            value={selectedFormId}
+            onChange={(e) => setSelectedFormId(e.target.value)}
+            className="input-field text-sm"
+            aria-label="Form to copy from"
+          >
+            {forms.map(form => (
+              <option key={form._id} value={form._id}>{form.title}</option>
+            ))}
+          </select>
+          <ul className="divide-y divide-gray-100 bg-white border border-gray-200 rounded-lg max-h-64 overflow-y-auto">
+            {fields.map(field => (
+              <li key={field._id || field.name} className="flex items-center justify-between gap-3 px-3 py-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{field.label}</p>
+                  <p className="text-xs text-gray-500">
+                    <span className="font-mono">{field.name}</span> · {field.type}
+                    {field.required && ' · required'}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onCopy(field)}
+                  className="text-sm font-medium text-blue-600 hover:text-blue-800 whitespace-nowrap"
+                >
+                  Copy
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
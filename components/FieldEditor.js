@@ -1,7 +1,11 @@
 import { useState, useEffect } from 'react';
 import NestedFieldsManager from './NestedFieldsManager';
+import PatternEditor, { getPatternError } from './PatternEditor';
+import VisibilityRulesEditor from './VisibilityRulesEditor';
+import { hasVisibilityRule } from '../lib/conditionalLogic';
+import { OPTION_FIELD_TYPES, MULTI_VALUE_FIELD_TYPES } from '../lib/fieldTypes';
 
-export default function FieldEditor({ field, onUpdate, onDelete }) {
+export default function FieldEditor({ field, otherFields, onUpdate, onDelete }) {
   const [isEditing, setIsEditing] = useState(!field.name);
   const [optionsText, setOptionsText] = useState(() => {
     return Array.isArray(field.options) && field.options.length > 0 
@@ -16,6 +20,7 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
     options: field.options || [],
     conditionalFields: field.conditionalFields || {},
     validation: field.validation || {},
+    visibility: field.visibility || null,
     order: field.order || 0
   });
 
@@ -28,6 +33,8 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
     { value: 'checkbox', label: 'Checkbox' },
     { value: 'radio', label: 'Radio' },
     { value: 'select', label: 'Select' },
+    { value: 'checkbox_group', label: 'Checkbox Group' },
+    { value: 'multiselect', label: 'Multi-select' },
     { value: 'file', label: 'File Upload' }
   ];
 
@@ -57,7 +64,7 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
         updated.name = generateFieldName(newValue);
       }
       
-      if (name === 'type' && (newValue === 'radio' || newValue === 'select')) {
+      if (name === 'type' && OPTION_FIELD_TYPES.includes(newValue)) {
         if (!updated.options || updated.options.length === 0) {
           updated.options = [];
         }
@@ -95,13 +102,31 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
     }));
   };
 
+  const parseValidationValue = (name, value) => {
+    if (name === 'maxFileSize') return parseFloat(value);
+    if (name.includes('Length') || name.includes('Selections') || name.includes('Files') || name === 'min' || name === 'max') {
+      return parseInt(value);
+    }
+    return value;
+  };
+
   const handleValidationChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
       validation: {
         ...prev.validation,
-        [name]: value ? (name.includes('Length') || name === 'min' || name === 'max' ? parseInt(value) : value) : undefined
+        [name]: value ? parseValidationValue(name, value) : undefined
+      }
+    }));
+  };
+
+  const handlePatternChange = (changes) => {
+    setFormData(prev => ({
+      ...prev,
+      validation: {
+        ...prev.validation,
+        ...changes
       }
     }));
   };
@@ -111,6 +136,12 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
       alert('Label and Name are required');
       return;
     }
+
+    const patternError = supportsPattern && getPatternError(formData.validation?.regex);
+    if (patternError) {
+      alert(`The validation pattern is not a valid regular expression: ${patternError}`);
+      return;
+    }
     
     if (needsOptions) {
       const options = Array.isArray(formData.options) ? formData.options.filter(opt => opt && opt.trim()) : [];
@@ -120,12 +151,35 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
       }
       formData.options = options;
     }
+
+    if (isMultiValue) {
+      const { minSelections, maxSelections } = formData.validation;
+      if (minSelections && maxSelections && minSelections > maxSelections) {
+        alert('Minimum selections cannot be greater than maximum selections');
+        return;
+      }
+      if (minSelections && minSelections > formData.options.length) {
+        alert(`Minimum selections cannot be more than the ${formData.options.length} available options`);
+        return;
+      }
+    }
+    
+    if (formData.type === 'file') {
+      const { minFiles, maxFiles } = formData.validation;
+      if (minFiles && maxFiles && minFiles > maxFiles) {
+        alert('Minimum files cannot be greater than maximum files');
+        return;
+      }
+    }
     
     onUpdate(formData);
     setIsEditing(false);
   };
 
-  const needsOptions = ['select', 'radio'].includes(formData.type);
+  const needsOptions = OPTION_FIELD_TYPES.includes(formData.type);
+  const isMultiValue = MULTI_VALUE_FIELD_TYPES.includes(formData.type);
+  const supportsConditionalFields = ['select', 'radio'].includes(formData.type);
+  const supportsPattern = ['text', 'textarea', 'email'].includes(formData.type);
 
   return (
     <div className="card p-4 sm:p-5 mb-4">
@@ -233,7 +287,7 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
               )}
 
               {/* Nested/Conditional Fields Management */}
-              {formData.options && formData.options.length > 0 && (
+              {supportsConditionalFields && formData.options && formData.options.length > 0 && (
                 <div className="mt-4 pt-4 border-t border-gray-200">
                   <div className="mb-3">
                     <h4 className="text-sm font-medium text-gray-700 mb-1">
@@ -299,6 +353,102 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
             </div>
           )}
 
+          {isMultiValue && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 p-3 bg-gray-50 rounded-md">
+              <div>
+                <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Min Selections</label>
+                <input
+                  type="number"
+                  name="minSelections"
+                  value={formData.validation.minSelections || ''}
+                  onChange={handleValidationChange}
+                  className="input-field"
+                  min="1"
+                  placeholder="Optional"
+                />
+              </div>
+              <div>
+                <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Max Selections</label>
+                <input
+                  type="number"
+                  name="maxSelections"
+                  value={formData.validation.maxSelections || ''}
+                  onChange={handleValidationChange}
+                  className="input-field"
+                  min="1"
+                  placeholder="Optional"
+                />
+              </div>
+            </div>
+          )}
+
+          {supportsPattern && (
+            <PatternEditor
+              regex={formData.validation.regex || ''}
+              message={formData.validation.regexMessage || ''}
+              onChange={handlePatternChange}
+            />
+          )}
+
+          {formData.type === 'file' && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 p-3 bg-gray-50 rounded-md">
+              <div className="sm:col-span-2">
+                <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Allowed Types</label>
+                <input
+                  type="text"
+                  name="accept"
+                  value={formData.validation.accept || ''}
+                  onChange={handleValidationChange}
+                  className="input-field"
+                  placeholder="Any file, or e.g. image/*, .pdf, .docx"
+                />
+                <p className="mt-1 text-xs text-gray-500">Comma-separated MIME types and extensions</p>
+              </div>
+              <div>
+                <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Max Size per File (MB)</label>
+                <input
+                  type="number"
+                  name="maxFileSize"
+                  value={formData.validation.maxFileSize || ''}
+                  onChange={handleValidationChange}
+                  className="input-field"
+                  min="0.1"
+                  step="0.1"
+                  placeholder="Optional"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Min Files</label>
+                  <input
+                    type="number"
+                    name="minFiles"
+                    value={formData.validation.minFiles || ''}
+                    onChange={handleValidationChange}
+                    className="input-field"
+                    min="1"
+                    placeholder="Optional"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Max Files</label>
+                  <input
+                    type="number"
+                    name="maxFiles"
+                    value={formData.validation.maxFiles || ''}
+                    onChange={handleValidationChange}
+                    className="input-field"
+                    min="1"
+                    placeholder="1"
+                  />
+                </div>
+              </div>
+              <p className="sm:col-span-2 text-xs text-gray-500">
+                Respondents can attach several files when Min or Max Files is above 1.
+              </p>
+            </div>
+          )}
+
           {formData.type === 'number' && (
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 p-3 bg-gray-50 rounded-md">
               <div>
@@ -328,6 +478,14 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
             </div>
           )}
 
+          {otherFields && (
+            <VisibilityRulesEditor
+              visibility={formData.visibility}
+              fields={otherFields}
+              onChange={(visibility) => setFormData(prev => ({ ...prev, visibility }))}
+            />
+          )}
+
           <div className="flex flex-col-reverse sm:flex-row justify-end gap-2 sm:gap-3 pt-3 border-t border-gray-200">
             <button
               type="button"
@@ -360,6 +518,11 @@ export default function FieldEditor({ field, onUpdate, onDelete }) {
                   Required
                 </span>
               )}
+              {hasVisibilityRule(formData) && (
+                <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-800">
+                  Conditional
+                </span>
+              )}
             </div>
             {needsOptions && Array.isArray(formData.options) && formData.options.length > 0 && (
               <div className="text-xs text-gray-600 mt-1.5">
@@ -0,0 +1,110 @@
+import { useState, useEffect, useMemo } from 'react';
+import { submissionsAPI } from '../lib/api';
+import { downloadBlob } from '../lib/download';
+import { formatFileSize } from '../lib/fileRules';
+import { getAnswerFiles, getPreviewKind } from '../lib/submissionFiles';
+
+// Loads a previewable attachment and shows it inline: images as-is, PDFs in
+// a frame. The blob's object URL is released when the preview goes away.
+function FilePreview({ submissionId, fieldName, file }) {
+  const [preview, setPreview] = useState(null); // { url, kind }
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    submissionsAPI.downloadFile(submissionId, fieldName, file.index)
+      .then(response => {
+        if (cancelled) return;
+        const kind = getPreviewKind(file, response.data.type);
+        if (!kind) return;
+        // Served as a generic download, a PDF would not render in the frame
+        const blob = kind === 'pdf' && response.data.type !== 'application/pdf'
+          ? new Blob([response.data], { type: 'application/pdf' })
+          : response.data;
+        url = URL.createObjectURL(blob);
+        setPreview({ url, kind });
+      })
+      .catch(() => !cancelled && setFailed(true));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [submissionId, fieldName, file]);
+
+  if (failed) {
+    return <p className="mt-2 text-xs text-gray-400 italic">Preview unavailable</p>;
+  }
+  if (!preview) {
+    return <div className="mt-2 h-32 w-full max-w-md rounded-md bg-gray-100 animate-pulse" />;
+  }
+  return preview.kind === 'image' ? (
+    <img src={preview.url} alt={file.name} className="mt-2 max-h-80 max-w-full rounded-md border border-gray-200" />
+  ) : (
+    <iframe src={preview.url} title={file.name} className="mt-2 w-full h-96 rounded-md border border-gray-200" />
+  );
+}
+
+// Uploaded files of an answer as download links. With preview, images and
+// PDFs are also shown inline; compact lists the links on one line for tables.
+export default function FileAnswer({ submissionId, fieldName, value, preview = false, compact = false }) {
+  const [downloading, setDownloading] = useState(null); // index of the file being fetched
+  const files = useMemo(() => getAnswerFiles(value), [value]);
+
+  const handleDownload = async (file) => {
+    setDownloading(file.index);
+    try {
+      const response = await submissionsAPI.downloadFile(submissionId, fieldName, file.index);
+      downloadBlob(response.data, file.name);
+    } catch (error) {
+      alert(error.response?.status === 404
+        ? `${file.name} is no longer available.`
+        : `Error downloading ${file.name}. Please try again.`);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  if (files.length === 0) {
+    return <span className="text-gray-400 italic">No files</span>;
+  }
+
+  const renderLink = (file) => (
+    <button
+      type="button"
+      onClick={() => handleDownload(file)}
+      disabled={downloading === file.index}
+      className="inline-flex items-center max-w-full text-blue-600 hover:text-blue-800 hover:underline disabled:opacity-50 disabled:cursor-wait"
+      title={`Download ${file.name}`}
+    >
+      <svg className="h-4 w-4 mr-1 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+      </svg>
+      <span className="truncate">{file.name}</span>
+      {!compact && file.size !== null && (
+        <span className="ml-1 text-xs text-gray-500 flex-shrink-0">({formatFileSize(file.size)})</span>
+      )}
+    </button>
+  );
+
+  if (compact) {
+    return (
+      <span className="inline-flex flex-wrap gap-x-3 max-w-full">
+        {files.map(file => <span key={file.index} className="min-w-0 max-w-full">{renderLink(file)}</span>)}
+      </span>
+    );
+  }
+
+  return (
+    <ul className="space-y-2 whitespace-normal">
+      {files.map(file => (
+        <li key={file.index}>
+          {renderLink(file)}
+          {preview && getPreviewKind(file) && (
+            <FilePreview submissionId={submissionId} fieldName={fieldName} file={file} />
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,141 @@
+import { useState, useEffect, useRef } from 'react';
+import { formatFileSize, getFileError } from '../lib/fileRules';
+
+const isImage = (file) => file.type.startsWith('image/');
+
+// Drop area plus file picker for a file field. Selected files are listed with
+// thumbnails for images; files breaking a type/size rule are flagged inline
+// so the respondent can see which one to replace.
+export default function FileDropzone({ id, files, rules, hint, hasError, disabled, onChange, onBlur }) {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  // Object URLs are kept per File so re-renders don't recreate thumbnails
+  const previewUrls = useRef(new Map());
+  const getPreview = (file) => {
+    if (!isImage(file)) return null;
+    if (!previewUrls.current.has(file)) {
+      previewUrls.current.set(file, URL.createObjectURL(file));
+    }
+    return previewUrls.current.get(file);
+  };
+
+  useEffect(() => {
+    previewUrls.current.forEach((url, file) => {
+      if (!files.includes(file)) {
+        URL.revokeObjectURL(url);
+        previewUrls.current.delete(file);
+      }
+    });
+  }, [files]);
+
+  useEffect(() => {
+    const urls = previewUrls.current;
+    return () => urls.forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  const addFiles = (chosen) => {
+    if (chosen.length === 0) return;
+    // Picking again adds to a multi-file field instead of replacing it
+    onChange(rules.multiple ? [...files, ...chosen] : chosen.slice(0, 1));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) addFiles(Array.from(e.dataTransfer.files || []));
+  };
+
+  return (
+    <div>
+      <div
+        role="button"
+        tabIndex={disabled ? -1 : 0}
+        onClick={() => !disabled && inputRef.current?.click()}
+        onKeyDown={(e) => {
+          if (!disabled && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            inputRef.current?.click();
+          }
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          if (!disabled) setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onBlur={onBlur}
+        aria-disabled={disabled}
+        className={`flex flex-col items-center justify-center px-4 py-6 border-2 border-dashed rounded-lg text-center transition-colors ${
+          disabled
+            ? 'bg-gray-50 border-gray-200 cursor-not-allowed'
+            : dragging
+              ? 'bg-blue-50 border-blue-400 cursor-pointer'
+              : hasError
+                ? 'border-red-400 hover:border-red-500 cursor-pointer'
+                : 'border-gray-300 hover:border-blue-400 cursor-pointer'
+        }`}
+      >
+        <svg className="h-8 w-8 text-gray-400 mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+        </svg>
+        <p className="text-sm text-gray-700">
+          <span className="font-medium text-blue-600">Choose {rules.multiple ? 'files' : 'a file'}</span> or drag {rules.multiple ? 'them' : 'it'} here
+        </p>
+        {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+        <input
+          ref={inputRef}
+          id={id}
+          type="file"
+          multiple={rules.multiple}
+          accept={rules.accept.join(',') || undefined}
+          disabled={disabled}
+          onChange={(e) => {
+            addFiles(Array.from(e.target.files || []));
+            e.target.value = '';
+          }}
+          className="sr-only"
+        />
+      </div>
+
+      {files.length > 0 && (
+        <ul className="mt-2 space-y-2">
+          {files.map((file, index) => {
+            const fileError = getFileError(file, rules);
+            const preview = getPreview(file);
+            return (
+              <li
+                key={`${file.name}-${index}`}
+                className={`flex items-center gap-3 p-2 border rounded-md ${
+                  fileError ? 'border-red-200 bg-red-50' : 'border-gray-200 bg-gray-50'
+                }`}
+              >
+                {preview ? (
+                  <img src={preview} alt="" className="h-10 w-10 rounded object-cover flex-shrink-0" />
+                ) : (
+                  <div className="h-10 w-10 rounded bg-gray-200 flex items-center justify-center flex-shrink-0 text-[10px] font-semibold text-gray-500 uppercase">
+                    {file.name.includes('.') ? file.name.split('.').pop().slice(0, 4) : 'file'}
+                  </div>
+                )}
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm text-gray-900 truncate">{file.name}</p>
+                  <p className={`text-xs ${fileError ? 'text-red-600' : 'text-gray-500'}`}>
+                    {fileError || formatFileSize(file.size)}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onChange(files.filter((_, i) => i !== index))}
+                  disabled={disabled}
+                  className="text-xs font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { useEffect, useRef, useState } from 'react';
+import { useFormikContext } from 'formik';
+
+// Renders inside a Formik form and calls onSave with the current values a
+// moment after the respondent stops typing.
+export default function FormAutosave({ onSave, delay = 1000, disabled = false }) {
+  const { values, dirty } = useFormikContext();
+  const [savedAt, setSavedAt] = useState(null);
+  const onSaveRef = useRef(onSave);
+  onSaveRef.current = onSave;
+
+  useEffect(() => {
+    if (disabled || !dirty) return;
+
+    const timer = setTimeout(() => {
+      if (onSaveRef.current(values) !== false) {
+        setSavedAt(new Date());
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [values, dirty, disabled, delay]);
+
+  if (!savedAt) return null;
+
+  return (
+    <p className="text-xs text-gray-400" aria-live="polite">
+      Draft saved on this device at {savedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+    </p>
+  );
+}
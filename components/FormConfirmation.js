@@ -0,0 +1,98 @@
+import { useEffect, useMemo } from 'react';
+import {
+  getConfirmation,
+  isValidRedirectUrl,
+  renderConfirmationMessage,
+  toParagraphs,
+  buildRedirectUrl,
+  DEFAULT_CONFIRMATION_MESSAGE,
+  REDIRECT_DELAY_SECONDS
+} from '../lib/formConfirmation';
+
+// Thank-you screen shown after a submission, following the form's
+// confirmation settings. answers is the payload that was submitted.
+// onRedirect(url) replaces the automatic navigation (embeds ask the host page
+// to move); the "Continue now" link always opens in the top window. A host
+// page may be anyone's, so a redirect carrying answers is never handed to
+// onRedirect and waits for the respondent to follow the link instead.
+export default function FormConfirmation({ form, answers = [], onSubmitAnother, onRedirect, children }) {
+  const confirmation = useMemo(() => getConfirmation(form), [form]);
+
+  const paragraphs = useMemo(
+    () => toParagraphs(renderConfirmationMessage(confirmation.message, answers) || DEFAULT_CONFIRMATION_MESSAGE),
+    [confirmation, answers]
+  );
+
+  const redirectUrl = useMemo(
+    () => (isValidRedirectUrl(confirmation.redirectUrl?.trim())
+      ? buildRedirectUrl(confirmation, answers, form.fields)
+      : ''),
+    [confirmation, answers, form.fields]
+  );
+
+  const autoRedirect = !!redirectUrl && !(onRedirect && confirmation.includeAnswersInRedirect);
+
+  useEffect(() => {
+    if (!autoRedirect) return;
+    const timer = setTimeout(() => {
+      if (onRedirect) {
+        onRedirect(redirectUrl);
+      } else {
+        window.location.assign(redirectUrl);
+      }
+    }, REDIRECT_DELAY_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [autoRedirect, redirectUrl, onRedirect]);
+
+  return (
+    <div className="bg-green-50 border border-green-200 rounded-lg p-6 sm:p-8 text-center">
+      <svg
+        className="mx-auto h-12 w-12 sm:h-16 sm:w-16 text-green-400 mb-4"
+        fill="none"
+        stroke="currentColor"
+        viewBox="0 0 24 24"
+      >
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+      </svg>
+      <h2 className="text-xl sm:text-2xl font-bold text-green-800 mb-2">
+        Form Submitted Successfully!
+      </h2>
+      <div className="space-y-3 text-green-700 mb-4">
+        {paragraphs.map((lines, index) => (
+          <p key={index}>
+            {lines.map((line, lineIndex) => (
+              <span key={lineIndex}>
+                {lineIndex > 0 && <br />}
+                {line}
+              </span>
+            ))}
+          </p>
+        ))}
+      </div>
+
+      {redirectUrl && (
+        <p className="text-sm text-green-700 mb-4">
+          {autoRedirect && 'Redirecting you in a few seconds. '}
+          <a
+            href={redirectUrl}
+            target="_top"
+            className="font-medium underline hover:text-green-900"
+          >
+            {autoRedirect ? 'Continue now' : 'Continue'}
+          </a>
+        </p>
+      )}
+
+      {(confirmation.allowAnotherResponse || children) && (
+        <div className="flex flex-col sm:flex-row justify-center gap-3">
+          {confirmation.allowAnotherResponse && onSubmitAnother && (
+            <button type="button" onClick={onSubmitAnother} className="btn-primary">
+              Submit Another Response
+            </button>
+          )}
+          {children}
+        </div>
+      )}
+    </div>
+  );
+}
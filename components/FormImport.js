@@ -0,0 +1,195 @@
+import { useState, useEffect } from 'react';
+import { formsAPI } from '../lib/api';
+import { parseFormImport } from '../lib/formTransfer';
+import { countInputFields } from '../lib/formPages';
+
+export default function FormImport({ onImported, onCancel }) {
+  const [jsonText, setJsonText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [existingTitles, setExistingTitles] = useState(null); // null until loaded
+  const [result, setResult] = useState(null);
+  const [title, setTitle] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    // Deleted forms still hold their titles, so include them in the collision check
+    formsAPI.getAll(false, true)
+      .then(response => setExistingTitles(response.data.map(f => f.title)))
+      .catch(() => setExistingTitles([]));
+  }, []);
+
+  // Checking waits for the titles so a collision can't slip through
+  const titlesLoaded = existingTitles !== null;
+
+  const checkDefinition = (text) => {
+    const checked = parseFormImport(text, existingTitles);
+    setResult(checked);
+    setTitle(checked.form?.title || '');
+    setError('');
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    const reader = new FileReader();
+    reader.onload = () => {
+      setJsonText(reader.result);
+      checkDefinition(reader.result);
+    };
+    reader.onerror = () => setError('Could not read the selected file.');
+    reader.readAsText(file);
+  };
+
+  const handleImport = async () => {
+    if (!result?.canImport) return;
+    if (!title.trim()) {
+      setError('Title is required');
+      return;
+    }
+
+    setImporting(true);
+    setError('');
+    try {
+      const response = await formsAPI.create({ ...result.form, title: title.trim() });
+      onImported?.(response.data);
+    } catch (err) {
+      if (err.response?.data?.errors && Array.isArray(err.response.data.errors)) {
+        const errorMessages = err.response.data.errors.map(e =>
+          `${e.path}: ${e.msg}`
+        ).join('\n');
+        setError(`Validation errors:\n${errorMessages}`);
+      } else {
+        setError(err.response?.data?.error || err.response?.data?.message || 'Error importing form. Please try again.');
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const fieldErrorCount = result ? result.fieldProblems.filter(p => p.errors.length > 0).length : 0;
+
+  return (
+    <div className="card p-4 sm:p-6 space-y-5">
+      <div>
+        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Import Form</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Upload a JSON file exported from the forms list, or paste its contents below.
+        </p>
+      </div>
+
+      <div className="space-y-3">
+        <label className={`inline-flex items-center btn-secondary ${titlesLoaded ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'}`}>
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFileChange}
+            disabled={!titlesLoaded}
+            className="sr-only"
+          />
+          Choose JSON File
+        </label>
+        {fileName && <span className="ml-3 text-sm text-gray-600">{fileName}</span>}
+        <textarea
+          value={jsonText}
+          onChange={(e) => {
+            setJsonText(e.target.value);
+            setResult(null);
+          }}
+          className="input-field font-mono text-xs"
+          rows="8"
+          placeholder='{ "format": "dynamic-form", "form": { "title": "...", "fields": [...] } }'
+        />
+        <button
+          type="button"
+          onClick={() => checkDefinition(jsonText)}
+          disabled={!jsonText.trim() || !titlesLoaded}
+          className="btn-secondary disabled:opacity-50"
+        >
+          {titlesLoaded ? 'Check Definition' : 'Loading forms...'}
+        </button>
+      </div>
+
+      {result && (
+        <div className="space-y-4 pt-4 border-t border-gray-200">
+          {result.formErrors.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+              <ul className="text-sm text-red-700 list-disc list-inside space-y-1">
+                {result.formErrors.map((message, idx) => <li key={idx}>{message}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {result.form && (
+            <>
+              <div>
+                <label htmlFor="import-title" className="block text-sm font-medium text-gray-700 mb-1.5">
+                  Form Title <span className="text-red-500">*</span>
+                </label>
+                <input
+                  id="import-title"
+                  type="text"
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  className="input-field"
+                  maxLength={200}
+                />
+                {result.titleChanged && (
+                  <p className="mt-1 text-xs text-amber-700">
+                    A form with this title already exists, so the imported form was renamed.
+                  </p>
+                )}
+              </div>
+
+              <p className="text-sm text-gray-600">
+                {countInputFields(result.form.fields)} field{countInputFields(result.form.fields) !== 1 ? 's' : ''} found
+                {fieldErrorCount > 0 && `, ${fieldErrorCount} with problems that must be fixed in the file before importing`}.
+              </p>
+
+              {result.fieldProblems.length > 0 && (
+                <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                  {result.fieldProblems.map(problem => (
+                    <li key={problem.index} className="p-3">
+                      <p className="text-sm font-medium text-gray-900">
+                        {problem.label}
+                        {problem.name && <span className="ml-2 font-mono text-xs text-gray-500">{problem.name}</span>}
+                      </p>
+                      <ul className="mt-1 space-y-0.5">
+                        {problem.errors.map((message, idx) => (
+                          <li key={`e${idx}`} className="text-xs text-red-700">{message}</li>
+                        ))}
+                        {problem.warnings.map((message, idx) => (
+                          <li key={`w${idx}`} className="text-xs text-amber-700">{message}</li>
+                        ))}
+                      </ul>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <pre className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3 whitespace-pre-wrap">{error}</pre>
+      )}
+
+      <div className="flex flex-col-reverse sm:flex-row justify-end gap-3 sm:gap-4 pt-4 border-t border-gray-200">
+        <button type="button" onClick={onCancel} className="btn-secondary w-full sm:w-auto">
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleImport}
+          disabled={!result?.canImport || importing}
+          className="btn-primary w-full sm:w-auto disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {importing ? 'Importing...' : 'Import Form'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { PREVIEW_READY, PREVIEW_UPDATE, buildPreviewDefinition } from '../lib/formPreview';
+
+// Widths the preview frame is laid out at; the frame is scaled down to fit
+// the pane so media queries inside it behave as on a real screen
+const FRAME_WIDTHS = { desktop: 1024, mobile: 375 };
+const PANE_HEIGHT = 640;
+
+export default function FormPreviewPane({ title, description, fields, onClose }) {
+  const iframeRef = useRef(null);
+  const containerRef = useRef(null);
+  const [ready, setReady] = useState(false);
+  const [device, setDevice] = useState('desktop');
+  const [containerWidth, setContainerWidth] = useState(0);
+
+  const definition = useMemo(
+    () => buildPreviewDefinition({ title, description, fields }),
+    [title, description, fields]
+  );
+
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.origin !== window.location.origin) return;
+      if (event.source === iframeRef.current?.contentWindow && event.data?.type === PREVIEW_READY) {
+        setReady(true);
+      }
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, []);
+
+  useEffect(() => {
+    if (ready) {
+      iframeRef.current?.contentWindow?.postMessage({ type: PREVIEW_UPDATE, form: definition }, window.location.origin);
+    }
+  }, [ready, definition]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const observer = new ResizeObserver(([entry]) => setContainerWidth(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const frameWidth = FRAME_WIDTHS[device];
+  const scale = containerWidth > 0 ? Math.min(1, containerWidth / frameWidth) : 1;
+
+  return (
+    <div className="card p-4 sm:p-6 lg:sticky lg:top-20">
+      <div className="flex items-center justify-between mb-3 gap-2">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Preview</h2>
+          <p className="text-xs text-gray-500">Unsaved changes · Test Submit only checks validation</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-xs font-medium">
+            {Object.keys(FRAME_WIDTHS).map(option => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setDevice(option)}
+                className={`px-2.5 py-1 capitalize ${
+                  device === option ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+          {onClose && (
+            <button type="button" onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">
+              Close
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div ref={containerRef} className="bg-gray-100 rounded-lg overflow-hidden" style={{ height: PANE_HEIGHT }}>
+        <div className="mx-auto" style={{ width: frameWidth * scale, height: PANE_HEIGHT }}>
+          <iframe
+            ref={iframeRef}
+            src="/forms/preview"
+            title="Form preview"
+            className="bg-white border-0"
+            style={{
+              width: frameWidth,
+              height: PANE_HEIGHT / scale,
+              transform: `scale(${scale})`,
+              transformOrigin: 'top left'
+            }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
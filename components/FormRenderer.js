@@ -0,0 +1,639 @@
+import { useState, useEffect, useMemo } from "react";
+import { Formik, Form, Field, ErrorMessage } from "formik";
+import FileDropzone from "./FileDropzone";
+import { splitIntoPages, isPageBreak } from "../lib/formPages";
+import { getHiddenFieldNames } from "../lib/conditionalLogic";
+import { getFileRules, toFileList, describeFileRules } from "../lib/fileRules";
+import {
+  getEmptyValue,
+  getInitialValues,
+  validateAgainstFields,
+} from "../lib/formSchema";
+
+/**
+ * Renders a form definition as a working form: wizard steps split at page
+ * breaks, show/hide rules, conditional fields and Yup validation built by
+ * lib/formSchema, so every place a form is filled in behaves the same.
+ *
+ * Props:
+ * - definition: the form, `{ fields }` (title and description are left to the caller)
+ * - initialValues: answers to start from, merged over each field's empty value
+ * - onSubmit(values, helpers): called once the last step validates. helpers are
+ *   Formik's plus showFieldErrors({ [name]: message }), which also moves to the
+ *   first step with an error. Submitting state is cleared when it settles.
+ * - readOnly: shows every step at once with inputs disabled and no buttons
+ * - submitLabel: text of the final button (default "Submit Form")
+ * - onCancel(formik) / cancelLabel: secondary button on the first step
+ * - initialPage, onPageChange(index): step to start on and step changes
+ * - renderBeforeFields(formik), children(formik): extra content inside the form,
+ *   above the fields and below the buttons
+ */
+export default function FormRenderer({
+  definition,
+  initialValues: startingValues,
+  onSubmit,
+  readOnly = false,
+  submitLabel = "Submit Form",
+  onCancel,
+  cancelLabel = "Cancel",
+  initialPage = 0,
+  onPageChange,
+  renderBeforeFields,
+  children,
+}) {
+  const formFields = useMemo(() => definition?.fields || [], [definition]);
+  const [currentPage, setCurrentPage] = useState(initialPage);
+
+  const pages = useMemo(() => splitIntoPages(formFields), [formFields]);
+
+  // Steps can disappear while a definition is being edited (builder preview)
+  useEffect(() => {
+    if (currentPage > 0 && currentPage >= pages.length) {
+      setCurrentPage(Math.max(pages.length - 1, 0));
+    }
+  }, [pages, currentPage]);
+
+  const initialValues = useMemo(() => {
+    const emptyValues = getInitialValues(formFields);
+    if (!startingValues) return emptyValues;
+    // Only keep answers for fields this definition still has
+    return Object.fromEntries(
+      Object.entries(emptyValues).map(([name, value]) => [
+        name,
+        startingValues[name] !== undefined ? startingValues[name] : value,
+      ])
+    );
+  }, [formFields, startingValues]);
+
+  // Pages whose fields are all hidden by show/hide rules are skipped
+  const getVisiblePages = (values) => {
+    const hiddenFields = getHiddenFieldNames(formFields, values);
+    return pages
+      .map((page, index) => ({ ...page, index }))
+      .filter((page) =>
+        page.fields.some((field) => !hiddenFields.has(field.name))
+      );
+  };
+
+  const getNextPage = (values) =>
+    readOnly
+      ? undefined
+      : getVisiblePages(values).find((page) => page.index > currentPage);
+
+  const getPreviousPage = (values) =>
+    readOnly
+      ? undefined
+      : getVisiblePages(values)
+          .reverse()
+          .find((page) => page.index < currentPage);
+
+  // Intermediate steps only validate their own page; the final step validates
+  // the whole form before anything is sent
+  const validate = (values) =>
+    validateAgainstFields(
+      getNextPage(values) ? pages[currentPage].fields : formFields,
+      values,
+      formFields
+    );
+
+  const goToPage = (pageIndex) => {
+    setCurrentPage(pageIndex);
+    onPageChange?.(pageIndex);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const getShownFields = (fields, values) => {
+    const hiddenFields = getHiddenFieldNames(formFields, values);
+    return fields.filter(
+      (field) => !isPageBreak(field) && !hiddenFields.has(field.name)
+    );
+  };
+
+  const renderProgress = (values) => {
+    if (readOnly) {
+      return null;
+    }
+    const visiblePages = getVisiblePages(values);
+    if (visiblePages.length < 2) {
+      return null;
+    }
+    const step =
+      visiblePages.findIndex((page) => page.index === currentPage) + 1;
+
+    return (
+      <div className="pb-1">
+        <div className="flex items-center justify-between text-sm mb-2">
+          <span className="font-medium text-gray-700">
+            {pages[currentPage].title || `Step ${step}`}
+          </span>
+          <span className="text-gray-500">
+            Step {step} of {visiblePages.length}
+          </span>
+        </div>
+        <div
+          className="h-2 bg-gray-200 rounded-full overflow-hidden"
+          role="progressbar"
+          aria-valuemin={1}
+          aria-valuemax={visiblePages.length}
+          aria-valuenow={step}
+        >
+          <div
+            className="h-full bg-blue-600 rounded-full transition-all duration-300"
+            style={{ width: `${(step / visiblePages.length) * 100}%` }}
+          />
+        </div>
+      </div>
+    );
+  };
+
+  // Top-level names are matched first so a field such as contact_email is
+  // never mistaken for a nested field of a "contact" field
+  const findPageOfField = (fieldName) => {
+    const exact = pages.findIndex((page) =>
+      page.fields.some((f) => f.name === fieldName)
+    );
+    if (exact !== -1) return exact;
+    return pages.findIndex((page) =>
+      page.fields.some((f) =>
+        Object.values(f.conditionalFields || {}).some(
+          (nestedFields) =>
+            Array.isArray(nestedFields) &&
+            nestedFields.some((nested) => `${f.name}_${nested.name}` === fieldName)
+        )
+      )
+    );
+  };
+
+  const handleSubmit = async (values, helpers) => {
+    const nextPage = getNextPage(values);
+    if (nextPage) {
+      // Step passed validation; move on without flagging the next page's fields
+      helpers.setTouched({}, false);
+      helpers.setSubmitting(false);
+      goToPage(nextPage.index);
+      return;
+    }
+
+    // Errors reported after submitting (e.g. by the server) are shown on
+    // their fields, starting from the first step that has one
+    const showFieldErrors = (errors) => {
+      const errorPages = Object.entries(errors).map(([name, message]) => {
+        helpers.setFieldError(name, message);
+        return findPageOfField(name);
+      });
+      const firstErrorPage = Math.min(
+        ...errorPages.filter((page) => page >= 0)
+      );
+      if (Number.isFinite(firstErrorPage)) {
+        goToPage(firstErrorPage);
+      }
+    };
+
+    try {
+      await onSubmit?.(values, { ...helpers, showFieldErrors });
+    } finally {
+      helpers.setSubmitting(false);
+    }
+  };
+
+  const renderError = (name) => (
+    <ErrorMessage name={name}>
+      {(msg) => (
+        <p className="mt-1.5 text-sm text-red-600 flex items-center">
+          <svg
+            className="h-4 w-4 mr-1 flex-shrink-0"
+            fill="currentColor"
+            viewBox="0 0 20 20"
+          >
+            <path
+              fillRule="evenodd"
+              d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z"
+              clipRule="evenodd"
+            />
+          </svg>
+          {msg}
+        </p>
+      )}
+    </ErrorMessage>
+  );
+
+  // Reset nested field values whenever the parent option changes
+  const clearConditionalValues = (field, formik) => {
+    Object.values(field.conditionalFields || {}).forEach((nestedFields) => {
+      if (!Array.isArray(nestedFields)) return;
+      nestedFields.forEach((nf) => {
+        formik.setFieldValue(`${field.name}_${nf.name}`, getEmptyValue(nf), false);
+        formik.setFieldTouched(`${field.name}_${nf.name}`, false, false);
+      });
+    });
+  };
+
+  const renderSelectionHint = (field) => {
+    const { minSelections, maxSelections } = field.validation || {};
+    if (!minSelections && !maxSelections) {
+      return null;
+    }
+    let hint;
+    if (minSelections && maxSelections) {
+      hint =
+        minSelections === maxSelections
+          ? `Select exactly ${minSelections}`
+          : `Select between ${minSelections} and ${maxSelections}`;
+    } else if (minSelections) {
+      hint = `Select at least ${minSelections}`;
+    } else {
+      hint = `Select up to ${maxSelections}`;
+    }
+    return <p className="mt-1 text-xs text-gray-500">{hint}</p>;
+  };
+
+  const renderField = (field, formik) => {
+    const hasError = formik.touched[field.name] && formik.errors[field.name];
+
+    switch (field.type) {
+      case "textarea":
+        return (
+          <Field
+            as="textarea"
+            name={field.name}
+            rows="4"
+            className={`input-field ${hasError ? "input-error" : ""}`}
+            placeholder={
+              field.placeholder || `Enter ${field.label.toLowerCase()}`
+            }
+          />
+        );
+
+      case "select":
+        return (
+          <Field
+            as="select"
+            name={field.name}
+            className={`input-field ${hasError ? "input-error" : ""}`}
+            onChange={(e) => {
+              formik.handleChange(e);
+              clearConditionalValues(field, formik);
+            }}
+          >
+            <option value="">-- Select {field.label} --</option>
+            {field.options &&
+              field.options.map((option, idx) => (
+                <option key={idx} value={option}>
+                  {option}
+                </option>
+              ))}
+          </Field>
+        );
+
+      case "radio":
+        return (
+          <div className="space-y-2 sm:space-y-3" role="radiogroup">
+            {field.options &&
+              field.options.map((option, idx) => (
+                <label
+                  key={idx}
+                  className="flex items-center p-2 sm:p-3 rounded-md hover:bg-gray-50 cursor-pointer transition-colors"
+                >
+                  <Field
+                    type="radio"
+                    name={field.name}
+                    value={option}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                    onChange={(e) => {
+                      formik.handleChange(e);
+                      clearConditionalValues(field, formik);
+                    }}
+                  />
+                  <span className="ml-2 sm:ml-3 text-sm sm:text-base text-gray-700">
+                    {option}
+                  </span>
+                </label>
+              ))}
+          </div>
+        );
+
+      case "checkbox_group":
+        return (
+          <div className="space-y-2 sm:space-y-3" role="group">
+            {field.options &&
+              field.options.map((option, idx) => (
+                <label
+                  key={idx}
+                  className="flex items-center p-2 sm:p-3 rounded-md hover:bg-gray-50 cursor-pointer transition-colors"
+                >
+                  <Field
+                    type="checkbox"
+                    name={field.name}
+                    value={option}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span className="ml-2 sm:ml-3 text-sm sm:text-base text-gray-700">
+                    {option}
+                  </span>
+                </label>
+              ))}
+            {renderSelectionHint(field)}
+          </div>
+        );
+
+      case "multiselect":
+        return (
+          <div>
+            <Field
+              as="select"
+              multiple
+              name={field.name}
+              size={Math.min(Math.max(field.options?.length || 0, 3), 8)}
+              className={`input-field ${hasError ? "input-error" : ""}`}
+            >
+              {field.options &&
+                field.options.map((option, idx) => (
+                  <option key={idx} value={option}>
+                    {option}
+                  </option>
+                ))}
+            </Field>
+            <p className="mt-1 text-xs text-gray-500">
+              Hold Ctrl (Cmd on Mac) to select more than one option.
+            </p>
+            {renderSelectionHint(field)}
+          </div>
+        );
+
+      case "checkbox":
+        return (
+          <label className="flex items-start p-3 rounded-md hover:bg-gray-50 cursor-pointer transition-colors">
+            <Field
+              type="checkbox"
+              name={field.name}
+              className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <span className="ml-3 text-sm sm:text-base text-gray-700">
+              {field.label}
+            </span>
+          </label>
+        );
+
+      case "number":
+        return (
+          <Field
+            type="number"
+            name={field.name}
+            min={field.validation?.min}
+            max={field.validation?.max}
+            step="any"
+            className={`input-field ${hasError ? "input-error" : ""}`}
+            placeholder={
+              field.placeholder || `Enter ${field.label.toLowerCase()}`
+            }
+            value={formik.values[field.name] ?? ""}
+            onChange={(e) => {
+              const value = e.target.value;
+              formik.setFieldValue(
+                field.name,
+                value === "" ? undefined : value
+              );
+            }}
+          />
+        );
+
+      case "date":
+        return (
+          <Field
+            type="date"
+            name={field.name}
+            className={`input-field ${hasError ? "input-error" : ""}`}
+            value={formik.values[field.name] || ""}
+          />
+        );
+
+      case "email":
+        return (
+          <Field
+            type="email"
+            name={field.name}
+            className={`input-field ${hasError ? "input-error" : ""}`}
+            placeholder={field.placeholder || `Enter your email address`}
+          />
+        );
+
+      case "file": {
+        const rules = getFileRules(field);
+        const selectedFiles = toFileList(formik.values[field.name]);
+        const hint = describeFileRules(rules);
+        const setFiles = (files) => {
+          formik.setFieldTouched(field.name, true, false);
+          formik.setFieldValue(
+            field.name,
+            rules.multiple ? files : files[0] || null
+          );
+        };
+
+        return (
+          <div>
+            <FileDropzone
+              id={field.name}
+              files={selectedFiles}
+              rules={rules}
+              hint={hint}
+              hasError={hasError}
+              disabled={readOnly || formik.isSubmitting}
+              onChange={setFiles}
+              onBlur={() => formik.setFieldTouched(field.name, true, true)}
+            />
+            {formik.values[field.name] &&
+              typeof formik.values[field.name] === "string" &&
+              formik.values[field.name].trim() !== "" && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Selected: {formik.values[field.name]}
+                </p>
+              )}
+            {renderError(field.name)}
+          </div>
+        );
+      }
+
+      default:
+        return (
+          <Field
+            type={field.type || "text"}
+            name={field.name}
+            className={`input-field ${hasError ? "input-error" : ""}`}
+            placeholder={
+              field.placeholder || `Enter ${field.label.toLowerCase()}`
+            }
+          />
+        );
+    }
+  };
+
+  if (pages.length === 0) {
+    return null;
+  }
+
+  return (
+    <Formik
+      initialValues={initialValues}
+      validate={validate}
+      onSubmit={handleSubmit}
+      enableReinitialize
+    >
+      {(formik) => (
+        <Form className="space-y-5 sm:space-y-6" noValidate>
+          {renderProgress(formik.values)}
+          {renderBeforeFields?.(formik)}
+          <fieldset
+            disabled={readOnly}
+            className="space-y-5 sm:space-y-6 min-w-0"
+          >
+            {getShownFields(
+              readOnly ? formFields : pages[currentPage].fields,
+              formik.values
+            ).map((field, index) => {
+              const selectedValue = formik.values[field.name];
+              const conditionalFields =
+                (field.type === "radio" || field.type === "select") &&
+                field.conditionalFields &&
+                selectedValue &&
+                field.conditionalFields[selectedValue]
+                  ? Array.isArray(field.conditionalFields[selectedValue])
+                    ? field.conditionalFields[selectedValue]
+                    : []
+                  : [];
+
+              return (
+                <div key={field.name || index}>
+                  <div className="space-y-1.5 sm:space-y-2">
+                    {field.type !== "checkbox" && (
+                      <label
+                        htmlFor={field.name}
+                        className="block text-sm sm:text-base font-medium text-gray-700"
+                      >
+                        {field.label}
+                        {field.required && (
+                          <span
+                            className="text-red-500 ml-1"
+                            aria-label="required"
+                          >
+                            *
+                          </span>
+                        )}
+                      </label>
+                    )}
+                    <div>
+                      {renderField(field, formik)}
+                      {/* File fields render their own error message */}
+                      {field.type !== "file" && renderError(field.name)}
+                    </div>
+                  </div>
+
+                  {/* Render conditional/nested fields */}
+                  {conditionalFields.length > 0 && (
+                    <div className="mt-4 ml-4 sm:ml-6 pl-4 sm:pl-6 border-l-2 border-blue-200 space-y-4 bg-blue-50/30 rounded-r-lg p-4">
+                      {conditionalFields.map((nestedField, nestedIdx) => {
+                        const nestedFieldName = `${field.name}_${nestedField.name}`;
+                        const hasNestedError =
+                          formik.touched[nestedFieldName] &&
+                          formik.errors[nestedFieldName];
+
+                        return (
+                          <div
+                            key={nestedIdx}
+                            className="space-y-1.5 sm:space-y-2"
+                          >
+                            <label
+                              htmlFor={nestedFieldName}
+                              className="block text-sm sm:text-base font-medium text-gray-700"
+                            >
+                              {nestedField.label}
+                              {nestedField.required && (
+                                <span
+                                  className="text-red-500 ml-1"
+                                  aria-label="required"
+                                >
+                                  *
+                                </span>
+                              )}
+                            </label>
+                            <div>
+                              {renderField(
+                                { ...nestedField, name: nestedFieldName },
+                                formik
+                              )}
+                              {renderError(nestedFieldName)}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+
+          </fieldset>
+
+          {!readOnly && (
+            <div className="flex flex-col-reverse sm:flex-row justify-end gap-3 sm:gap-4 pt-4 sm:pt-6 border-t border-gray-200">
+              {getPreviousPage(formik.values) ? (
+                <button
+                  type="button"
+                  onClick={() =>
+                    goToPage(getPreviousPage(formik.values).index)
+                  }
+                  className="btn-secondary w-full sm:w-auto"
+                >
+                  Back
+                </button>
+              ) : onCancel ? (
+                <button
+                  type="button"
+                  onClick={() => onCancel(formik)}
+                  className="btn-secondary w-full sm:w-auto"
+                >
+                  {cancelLabel}
+                </button>
+              ) : null}
+              <button
+                type="submit"
+                disabled={formik.isSubmitting}
+                className="btn-primary w-full sm:w-auto disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {formik.isSubmitting ? (
+                  <span className="flex items-center justify-center">
+                    <svg
+                      className="animate-spin -ml-1 mr-2 h-4 w-4 text-white"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                    >
+                      <circle
+                        className="opacity-25"
+                        cx="12"
+                        cy="12"
+                        r="10"
+                        stroke="currentColor"
+                        strokeWidth="4"
+                      ></circle>
+                      <path
+                        className="opacity-75"
+                        fill="currentColor"
+                        d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                      ></path>
+                    </svg>
+                    Submitting...
+                  </span>
+                ) : getNextPage(formik.values) ? (
+                  "Next"
+                ) : (
+                  submitLabel
+                )}
+              </button>
+            </div>
+          )}
+
+          {children?.(formik)}
+        </Form>
+      )}
+    </Formik>
+  );
+}
@@ -0,0 +1,37 @@
+import { useEffect } from 'react';
+import { useNow } from '../lib/useNow';
+import { AVAILABILITY, formatCountdown, getUnavailableMessage } from '../lib/formSchedule';
+
+// Shown instead of the form while it is scheduled, closed or full. A
+// scheduled form counts down and calls onOpen once its opening time passes.
+export default function FormUnavailable({ availability, onOpen }) {
+  const now = useNow(availability.status === AVAILABILITY.scheduled ? 1000 : 60000);
+  const { title, message } = getUnavailableMessage(availability);
+  const opensIn = availability.opensAt ? availability.opensAt - now : null;
+
+  useEffect(() => {
+    if (availability.status === AVAILABILITY.scheduled && opensIn <= 0) {
+      onOpen?.();
+    }
+  }, [availability.status, opensIn, onOpen]);
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-lg p-6 sm:p-8 text-center">
+      <svg
+        className="mx-auto h-12 w-12 text-amber-400 mb-4"
+        fill="none"
+        stroke="currentColor"
+        viewBox="0 0 24 24"
+      >
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+      </svg>
+      <h2 className="text-xl sm:text-2xl font-bold text-amber-900 mb-2">{title}</h2>
+      <p className="text-amber-800">{message}</p>
+      {availability.status === AVAILABILITY.scheduled && opensIn > 0 && (
+        <p className="mt-3 text-sm font-medium text-amber-900">
+          Opens in {formatCountdown(availability.opensAt, now)}
+        </p>
+      )}
+    </div>
+  );
+}
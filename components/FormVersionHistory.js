@@ -0,0 +1,237 @@
+import { useState, useEffect, useRef } from 'react';
+import { formsAPI } from '../lib/api';
+import { diffFormVersions, formatVersionValue } from '../lib/formVersions';
+
+const statusStyles = {
+  added: { label: 'Added', className: 'bg-green-100 text-green-800' },
+  removed: { label: 'Removed', className: 'bg-red-100 text-red-800' },
+  changed: { label: 'Changed', className: 'bg-amber-100 text-amber-800' }
+};
+
+export default function FormVersionHistory({ formId, currentVersion, onRollback, onClose, onUnauthorized }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [rollingBack, setRollingBack] = useState(null);
+  // Snapshots never change once saved, so each is fetched at most once
+  const snapshots = useRef(new Map());
+
+  useEffect(() => {
+    fetchVersions();
+  }, [formId, currentVersion]);
+
+  useEffect(() => {
+    if (compareFrom !== '' && compareTo !== '') {
+      compareVersions(compareFrom, compareTo);
+    } else {
+      setDiff(null);
+    }
+  }, [compareFrom, compareTo]);
+
+  const fetchVersions = async () => {
+    try {
+      setError('');
+      const response = await formsAPI.getVersions(formId);
+      const list = (response.data.versions || response.data || [])
+        .slice()
+        .sort((a, b) => b.version - a.version);
+      setVersions(list);
+      setCompareTo(list.length > 0 ? list[0].version : '');
+      setCompareFrom(list.length > 1 ? list[1].version : '');
+    } catch (error) {
+      console.error('Error fetching versions:', error);
+      if (error.response?.status === 401) {
+        onUnauthorized?.();
+      } else {
+        setError('Failed to load version history.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getSnapshot = async (version) => {
+    if (!snapshots.current.has(version)) {
+      const response = await formsAPI.getVersion(formId, version);
+      snapshots.current.set(version, response.data);
+    }
+    return snapshots.current.get(version);
+  };
+
+  const compareVersions = async (from, to) => {
+    setDiffLoading(true);
+    try {
+      const [before, after] = await Promise.all([getSnapshot(from), getSnapshot(to)]);
+      setDiff(diffFormVersions(before, after));
+    } catch (error) {
+      console.error('Error comparing versions:', error);
+      setDiff(null);
+      setError('Failed to load one of the versions to compare.');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!confirm(`Restore version ${version}? This saves its fields as a new version. Unsaved changes in the editor will be lost.`)) {
+      return;
+    }
+
+    setRollingBack(version);
+    try {
+      const response = await formsAPI.rollback(formId, version);
+      onRollback?.(response.data);
+    } catch (error) {
+      console.error('Error rolling back form:', error);
+      alert('Error restoring this version. Please try again.');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const changedFields = diff ? diff.fields.filter(f => f.status !== 'unchanged') : [];
+  const unchangedCount = diff ? diff.fields.length - changedFields.length : 0;
+
+  return (
+    <div className="card p-4 sm:p-5 space-y-5">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Version History</h2>
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Close version history"
+          >
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded p-2">{error}</p>
+      )}
+
+      {loading ? (
+        <div className="text-center py-6">
+          <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      ) : versions.length === 0 ? (
+        <p className="text-sm text-gray-500">No saved versions yet. A version is created every time the form is saved.</p>
+      ) : (
+        <>
+          <ul className="divide-y divide-gray-100 max-h-72 overflow-y-auto -mx-1 px-1">
+            {versions.map(entry => {
+              const isCurrent = entry.version === currentVersion;
+              return (
+                <li key={entry.version} className="py-2.5 flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      Version {entry.version}
+                      {isCurrent && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
+                          Current
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {entry.createdAt ? new Date(entry.createdAt).toLocaleString() : 'Unknown date'}
+                      {entry.createdBy && ` · ${entry.createdBy.username || entry.createdBy}`}
+                    </p>
+                  </div>
+                  {!isCurrent && (
+                    <button
+                      type="button"
+                      onClick={() => handleRollback(entry.version)}
+                      disabled={rollingBack !== null}
+                      className="text-xs font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50 whitespace-nowrap"
+                    >
+                      {rollingBack === entry.version ? 'Restoring...' : 'Restore'}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+
+          {versions.length > 1 && (
+            <div className="space-y-3 pt-4 border-t border-gray-200">
+              <h3 className="text-sm font-semibold text-gray-900">Compare Versions</h3>
+              <div className="grid grid-cols-2 gap-2">
+                <select
+                  value={compareFrom}
+                  onChange={(e) => setCompareFrom(Number(e.target.value))}
+                  className="input-field text-sm"
+                  aria-label="Compare from version"
+                >
+                  {versions.map(entry => (
+                    <option key={entry.version} value={entry.version}>From v{entry.version}</option>
+                  ))}
+                </select>
+                <select
+                  value={compareTo}
+                  onChange={(e) => setCompareTo(Number(e.target.value))}
+                  className="input-field text-sm"
+                  aria-label="Compare to version"
+                >
+                  {versions.map(entry => (
+                    <option key={entry.version} value={entry.version}>To v{entry.version}</option>
+                  ))}
+                </select>
+              </div>
+
+              {diffLoading ? (
+                <p className="text-sm text-gray-500">Comparing...</p>
+              ) : diff && (
+                <div className="space-y-3">
+                  {diff.settings.length === 0 && changedFields.length === 0 && (
+                    <p className="text-sm text-gray-500">No differences between these versions.</p>
+                  )}
+                  {diff.settings.map(change => (
+                    <div key={change.property} className="text-sm">
+                      <p className="font-medium text-gray-900">{change.label}</p>
+                      <p className="text-xs text-gray-500 break-words">
+                        {formatVersionValue(change.before)} → {formatVersionValue(change.after)}
+                      </p>
+                    </div>
+                  ))}
+                  {changedFields.map(field => (
+                    <div key={`${field.status}-${field.name}`} className="text-sm">
+                      <div className="flex items-center gap-2">
+                        <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${statusStyles[field.status].className}`}>
+                          {statusStyles[field.status].label}
+                        </span>
+                        <span className="font-medium text-gray-900 truncate">{field.label || field.name}</span>
+                      </div>
+                      {field.changes.length > 0 && (
+                        <ul className="mt-1 ml-2 space-y-0.5">
+                          {field.changes.map(change => (
+                            <li key={change.property} className="text-xs text-gray-500 break-words">
+                              <span className="text-gray-700">{change.label}:</span>{' '}
+                              {formatVersionValue(change.before)} → {formatVersionValue(change.after)}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  ))}
+                  {unchangedCount > 0 && (
+                    <p className="text-xs text-gray-400">
+                      {unchangedCount} field{unchangedCount !== 1 ? 's' : ''} unchanged
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,284 @@
+import { useState, useEffect } from 'react';
+import { formsAPI, submissionsAPI } from '../lib/api';
+
+export default function FormsTrash({ onRestore, onUnauthorized }) {
+  const [forms, setForms] = useState([]);
+  const [submissionCounts, setSubmissionCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [restoringId, setRestoringId] = useState(null);
+  const [purgingId, setPurgingId] = useState(null);
+  const [bulkRestoring, setBulkRestoring] = useState(false);
+
+  useEffect(() => {
+    fetchDeletedForms();
+  }, []);
+
+  const fetchDeletedForms = async () => {
+    try {
+      setError('');
+      const response = await formsAPI.getAll(false, true);
+      const deleted = response.data.filter(f => f.isDeleted);
+      setForms(deleted);
+      setSelectedIds(prev => prev.filter(id => deleted.some(f => f._id === id)));
+
+      // Submission totals come from the paginated submissions endpoint, same as the dashboard
+      const counts = await Promise.all(
+        deleted.map(form =>
+          submissionsAPI.getAll({ formId: form._id, page: 1, limit: 1 })
+            .then(res => [form._id, res.data.pagination?.total || 0])
+            .catch(() => [form._id, null])
+        )
+      );
+      setSubmissionCounts(Object.fromEntries(counts));
+    } catch (error) {
+      console.error('Error fetching deleted forms:', error);
+      if (error.response?.status === 401) {
+        onUnauthorized?.();
+      } else {
+        setError('Failed to load deleted forms. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id]);
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(selectedIds.length === forms.length ? [] : forms.map(f => f._id));
+  };
+
+  const handleRestore = async (id) => {
+    setRestoringId(id);
+    try {
+      await formsAPI.restore(id);
+      await fetchDeletedForms();
+      onRestore?.();
+    } catch (error) {
+      alert('Error restoring form. Please try again.');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const handleBulkRestore = async () => {
+    if (selectedIds.length === 0) return;
+
+    setBulkRestoring(true);
+    const results = await Promise.allSettled(selectedIds.map(id => formsAPI.restore(id)));
+    const failed = results.filter(r => r.status === 'rejected').length;
+    await fetchDeletedForms();
+    onRestore?.();
+    setBulkRestoring(false);
+    if (failed > 0) {
+      alert(`${failed} form${failed !== 1 ? 's' : ''} could not be restored. Please try again.`);
+    }
+  };
+
+  const handlePurge = async (id, title) => {
+    const count = submissionCounts[id];
+    const submissionsNote = count ? `\n\nIts ${count} submission${count !== 1 ? 's' : ''} will also be removed.` : '';
+    if (!confirm(`Permanently delete "${title}"?${submissionsNote}\n\nThis cannot be undone.`)) {
+      return;
+    }
+
+    setPurgingId(id);
+    try {
+      await formsAPI.purge(id);
+      await fetchDeletedForms();
+    } catch (error) {
+      alert('Error deleting form permanently. Please try again.');
+    } finally {
+      setPurgingId(null);
+    }
+  };
+
+  const formatSubmissionCount = (id) => {
+    const count = submissionCounts[id];
+    if (count === undefined || count === null) return '-';
+    return `${count} submission${count !== 1 ? 's' : ''}`;
+  };
+
+  const formatDeletedAt = (form) => {
+    const date = form.deletedAt || form.updatedAt;
+    return date ? new Date(date).toLocaleDateString() : '-';
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-12 sm:py-16">
+        <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+        <p className="mt-4 text-gray-500">Loading deleted forms...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    );
+  }
+
+  if (forms.length === 0) {
+    return (
+      <div className="card p-8 sm:p-12 text-center">
+        <svg className="mx-auto h-12 w-12 sm:h-16 sm:w-16 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+        </svg>
+        <h3 className="text-lg sm:text-xl font-medium text-gray-900 mb-2">Trash is empty</h3>
+        <p className="text-sm sm:text-base text-gray-500 max-w-md mx-auto">
+          Deleted forms will appear here and can be restored at any time.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 bg-amber-50 border border-amber-200 rounded-lg p-3 sm:p-4">
+        <p className="text-sm text-amber-800">
+          {forms.length} deleted form{forms.length !== 1 ? 's' : ''}. Restored forms keep their fields and submissions.
+        </p>
+        <button
+          onClick={handleBulkRestore}
+          disabled={selectedIds.length === 0 || bulkRestoring}
+          className="btn-primary text-sm w-full sm:w-auto whitespace-nowrap"
+        >
+          {bulkRestoring ? 'Restoring...' : `Restore Selected (${selectedIds.length})`}
+        </button>
+      </div>
+
+      {/* Mobile Card View */}
+      <div className="block md:hidden space-y-4">
+        <label className="flex items-center gap-3 px-4 text-sm font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={selectedIds.length === forms.length}
+            onChange={toggleSelectAll}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          Select all
+        </label>
+        {forms.map((form) => (
+          <div key={form._id} className="card p-4">
+            <div className="flex items-start gap-3 mb-3">
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(form._id)}
+                onChange={() => toggleSelected(form._id)}
+                className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                aria-label={`Select ${form.title}`}
+              />
+              <div className="flex-1 min-w-0">
+                <h3 className="text-base font-semibold text-gray-900 truncate">{form.title}</h3>
+                {form.description && (
+                  <p className="text-sm text-gray-500 mt-1 line-clamp-2">{form.description}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between text-xs text-gray-500 mb-4">
+              <span>{formatSubmissionCount(form._id)}</span>
+              <span>Deleted {formatDeletedAt(form)}</span>
+            </div>
+
+            <div className="flex flex-wrap gap-2 pt-4 border-t border-gray-100">
+              <button
+                onClick={() => handleRestore(form._id)}
+                disabled={restoringId === form._id}
+                className="flex-1 px-3 py-2 text-xs sm:text-sm font-medium text-green-600 bg-green-50 rounded-md hover:bg-green-100 disabled:opacity-50"
+              >
+                {restoringId === form._id ? 'Restoring...' : 'Restore'}
+              </button>
+              <button
+                onClick={() => handlePurge(form._id, form.title)}
+                disabled={purgingId === form._id}
+                className="flex-1 px-3 py-2 text-xs sm:text-sm font-medium text-red-600 bg-red-50 rounded-md hover:bg-red-100 disabled:opacity-50"
+              >
+                {purgingId === form._id ? 'Deleting...' : 'Delete Forever'}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Desktop Table View */}
+      <div className="hidden md:block card overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 lg:px-6 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.length === forms.length}
+                    onChange={toggleSelectAll}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    aria-label="Select all deleted forms"
+                  />
+                </th>
+                <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Title</th>
+                <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Submissions</th>
+                <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                <th className="px-4 lg:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {forms.map((form) => (
+                <tr key={form._id} className="hover:bg-gray-50 transition-colors">
+                  <td className="px-4 lg:px-6 py-4 w-10">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(form._id)}
+                      onChange={() => toggleSelected(form._id)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      aria-label={`Select ${form.title}`}
+                    />
+                  </td>
+                  <td className="px-4 lg:px-6 py-4">
+                    <div className="text-sm font-medium text-gray-900">{form.title}</div>
+                    {form.description && (
+                      <div className="text-sm text-gray-500 mt-1 line-clamp-1">{form.description}</div>
+                    )}
+                  </td>
+                  <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatSubmissionCount(form._id)}
+                  </td>
+                  <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatDeletedAt(form)}
+                  </td>
+                  <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        onClick={() => handleRestore(form._id)}
+                        disabled={restoringId === form._id}
+                        className="px-3 py-1.5 text-green-600 hover:text-green-900 hover:bg-green-50 rounded-md transition-colors disabled:opacity-50"
+                        title="Restore"
+                      >
+                        {restoringId === form._id ? '...' : 'Restore'}
+                      </button>
+                      <button
+                        onClick={() => handlePurge(form._id, form.title)}
+                        disabled={purgingId === form._id}
+                        className="px-3 py-1.5 text-red-600 hover:text-red-900 hover:bg-red-50 rounded-md transition-colors disabled:opacity-50"
+                        title="Delete permanently"
+                      >
+                        {purgingId === form._id ? '...' : 'Delete Forever'}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
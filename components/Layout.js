@@ -1,21 +1,22 @@
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { useEffect, useState } from 'react';
+import { clearSession, getCurrentAdmin } from '../lib/adminSession';
 
 export default function Layout({ children, isAdmin = false }) {
   const router = useRouter();
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [currentAdmin, setCurrentAdmin] = useState(null);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const isAuthenticated = !!currentAdmin;
 
   useEffect(() => {
     if (isAdmin) {
-      const token = localStorage.getItem('adminToken');
-      setIsAuthenticated(!!token);
+      setCurrentAdmin(getCurrentAdmin());
     }
   }, [isAdmin]);
 
   const handleLogout = () => {
-    localStorage.removeItem('adminToken');
+    clearSession();
     router.push('/admin/login');
   };
 
@@ -54,17 +55,48 @@ export default function Layout({ children, isAdmin = false }) {
                   <Link 
                     href="/admin/submissions" 
                     className={`inline-flex items-center px-3 py-2 rounded-md text-sm font-medium transition-colors ${
-                      router.pathname === '/admin/submissions'
+                      router.pathname.startsWith('/admin/submissions')
                         ? 'bg-blue-100 text-blue-700'
                         : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'
                     }`}
                   >
                     Submissions
                   </Link>
+                  <Link 
+                    href="/admin/analytics" 
+                    className={`inline-flex items-center px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                      router.pathname === '/admin/analytics'
+                        ? 'bg-blue-100 text-blue-700'
+                        : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'
+                    }`}
+                  >
+                    Analytics
+                  </Link>
+                  <Link 
+                    href="/admin/users" 
+                    className={`inline-flex items-center px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                      router.pathname === '/admin/users'
+                        ? 'bg-blue-100 text-blue-700'
+                        : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'
+                    }`}
+                  >
+                    Users
+                  </Link>
                 </div>
               </div>
               {isAuthenticated && (
                 <div className="flex items-center space-x-2">
+                  {currentAdmin.username && (
+                    <span
+                      className="hidden sm:inline-flex items-center max-w-[12rem] px-2 text-sm text-gray-600"
+                      title={`Signed in as ${currentAdmin.username}`}
+                    >
+                      <svg className="h-4 w-4 mr-1.5 flex-shrink-0 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                      </svg>
+                      <span className="truncate">{currentAdmin.username}</span>
+                    </span>
+                  )}
                   <button
                     onClick={handleLogout}
                     className="px-3 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 hover:bg-gray-100 rounded-md transition-colors"
@@ -119,7 +151,7 @@ export default function Layout({ children, isAdmin = false }) {
                 <Link
                   href="/admin/submissions"
                   className={`block px-3 py-2 rounded-md text-base font-medium ${
-                    router.pathname === '/admin/submissions'
+                    router.pathname.startsWith('/admin/submissions')
                       ? 'bg-blue-100 text-blue-700'
                       : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'
                   }`}
@@ -127,6 +159,33 @@ export default function Layout({ children, isAdmin = false }) {
                 >
                   Submissions
                 </Link>
+                <Link
+                  href="/admin/analytics"
+                  className={`block px-3 py-2 rounded-md text-base font-medium ${
+                    router.pathname === '/admin/analytics'
+                      ? 'bg-blue-100 text-blue-700'
+                      : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'
+                  }`}
+                  onClick={() => setMobileMenuOpen(false)}
+                >
+                  Analytics
+                </Link>
+                <Link
+                  href="/admin/users"
+                  className={`block px-3 py-2 rounded-md text-base font-medium ${
+                    router.pathname === '/admin/users'
+                      ? 'bg-blue-100 text-blue-700'
+                      : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'
+                  }`}
+                  onClick={() => setMobileMenuOpen(false)}
+                >
+                  Users
+                </Link>
+                {currentAdmin?.username && (
+                  <p className="px-3 pt-2 mt-1 border-t border-gray-100 text-sm text-gray-500">
+                    Signed in as <span className="font-medium text-gray-700">{currentAdmin.username}</span>
+                  </p>
+                )}
               </div>
             </div>
           )}
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+
+export default function PageBreakMarker({ field, pageNumber, onUpdate, onDelete }) {
+  const [title, setTitle] = useState(field.label || '');
+
+  const commitTitle = () => {
+    const trimmed = title.trim() || `Page ${pageNumber}`;
+    setTitle(trimmed);
+    if (trimmed !== field.label) {
+      onUpdate({ ...field, label: trimmed });
+    }
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center gap-3 py-1">
+      <div className="flex items-center gap-2 flex-1 min-w-0">
+        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-800 whitespace-nowrap">
+          Page {pageNumber}
+        </span>
+        <div className="flex-1 border-t-2 border-dashed border-purple-200 hidden sm:block" />
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={commitTitle}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              e.target.blur();
+            }
+          }}
+          className="text-sm px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-500 sm:w-56"
+          placeholder="Page title"
+          aria-label="Page title"
+        />
+        <div className="flex-1 border-t-2 border-dashed border-purple-200 hidden sm:block" />
+      </div>
+      <button
+        type="button"
+        onClick={onDelete}
+        className="px-3 py-1.5 text-xs sm:text-sm font-medium text-red-600 hover:text-red-800 hover:bg-red-50 rounded-md transition-colors self-end sm:self-auto"
+      >
+        Remove Break
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import { useState } from 'react';
+
+const patternPresets = [
+  {
+    value: 'phone',
+    label: 'Phone number',
+    regex: '^\\+?[0-9][0-9\\s\\-().]{6,19}$',
+    message: 'Please enter a valid phone number',
+    samples: '+1 (555) 123-4567\n020 7946 0958\nnot-a-phone'
+  },
+  {
+    value: 'us_zip',
+    label: 'US ZIP code',
+    regex: '^\\d{5}(-\\d{4})?$',
+    message: 'Please enter a valid ZIP code (e.g. 12345 or 12345-6789)',
+    samples: '12345\n12345-6789\n1234'
+  },
+  {
+    value: 'uk_postcode',
+    label: 'UK postcode',
+    regex: '^[A-Za-z]{1,2}\\d[A-Za-z\\d]?\\s?\\d[A-Za-z]{2}$',
+    message: 'Please enter a valid UK postcode',
+    samples: 'SW1A 1AA\nM1 1AE\n12345'
+  },
+  {
+    value: 'ca_postal',
+    label: 'Canadian postal code',
+    regex: '^[A-Za-z]\\d[A-Za-z][ -]?\\d[A-Za-z]\\d$',
+    message: 'Please enter a valid postal code (e.g. K1A 0B1)',
+    samples: 'K1A 0B1\nH0H0H0\n12345'
+  },
+  {
+    value: 'slug',
+    label: 'URL slug',
+    regex: '^[a-z0-9]+(?:-[a-z0-9]+)*$',
+    message: 'Use lowercase letters, numbers and single hyphens only',
+    samples: 'my-new-post\npost-2024\nNot A Slug'
+  }
+];
+
+// Returns an error message for an invalid pattern, or null when it compiles
+export const getPatternError = (pattern) => {
+  if (!pattern) return null;
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+};
+
+export default function PatternEditor({ regex = '', message = '', onChange }) {
+  const [isExpanded, setIsExpanded] = useState(!!regex);
+  const [samples, setSamples] = useState('');
+
+  const patternError = getPatternError(regex);
+  const compiled = regex && !patternError ? new RegExp(regex) : null;
+  const sampleLines = samples.split('\n').filter(line => line.length > 0);
+
+  const applyPreset = (value) => {
+    const preset = patternPresets.find(p => p.value === value);
+    if (!preset) return;
+    onChange({ regex: preset.regex, regexMessage: preset.message });
+    setSamples(preset.samples);
+  };
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-md">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1.5"
+      >
+        <svg
+          className={`w-4 h-4 transition-transform ${isExpanded ? 'transform rotate-90' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+        </svg>
+        Pattern Validation
+        {regex && (
+          <span className={`ml-1 px-2 py-0.5 rounded text-xs font-medium ${
+            patternError ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800'
+          }`}>
+            {patternError ? 'Invalid' : 'Active'}
+          </span>
+        )}
+      </button>
+
+      {isExpanded && (
+        <div className="mt-3 space-y-4">
+          <div>
+            <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Preset</label>
+            <select
+              value=""
+              onChange={(e) => applyPreset(e.target.value)}
+              className="input-field"
+            >
+              <option value="">-- Choose a preset --</option>
+              {patternPresets.map(preset => (
+                <option key={preset.value} value={preset.value}>{preset.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Regular Expression</label>
+            <input
+              type="text"
+              value={regex}
+              onChange={(e) => onChange({ regex: e.target.value || undefined })}
+              className={`input-field font-mono text-sm ${patternError ? 'input-error' : ''}`}
+              placeholder="^[A-Z]{3}-\d{4}$"
+              spellCheck={false}
+            />
+            {patternError ? (
+              <p className="mt-1 text-xs text-red-600">Invalid expression: {patternError}</p>
+            ) : (
+              <p className="mt-1 text-xs text-gray-500">
+                Written without surrounding slashes. Use ^ and $ to match the whole answer.
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">Error Message</label>
+            <input
+              type="text"
+              value={message}
+              onChange={(e) => onChange({ regexMessage: e.target.value || undefined })}
+              className="input-field"
+              placeholder="Defaults to “<Label> format is invalid”"
+            />
+          </div>
+
+          <div>
+            <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">
+              Test Strings <span className="text-xs text-gray-500 font-normal">(one per line, not saved)</span>
+            </label>
+            <textarea
+              value={samples}
+              onChange={(e) => setSamples(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.stopPropagation();
+                }
+              }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-sm resize-y"
+              rows="3"
+              placeholder="Type sample answers to check them against the pattern"
+            />
+            {compiled && sampleLines.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {sampleLines.map((line, idx) => {
+                  const passes = compiled.test(line);
+                  return (
+                    <li key={idx} className="flex items-center gap-2 text-xs">
+                      <span className={`px-1.5 py-0.5 rounded font-medium ${
+                        passes ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      }`}>
+                        {passes ? 'Pass' : 'Fail'}
+                      </span>
+                      <span className="font-mono text-gray-700 break-all">{line}</span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          {regex && (
+            <button
+              type="button"
+              onClick={() => {
+                onChange({ regex: undefined, regexMessage: undefined });
+                setSamples('');
+              }}
+              className="text-xs text-red-600 hover:text-red-800 underline"
+            >
+              Remove pattern
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
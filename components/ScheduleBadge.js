@@ -0,0 +1,18 @@
+import { getScheduleBadge } from '../lib/formSchedule';
+import { useNow } from '../lib/useNow';
+
+// Opening/closing countdown or response-limit badge for a form, if it has one
+export default function ScheduleBadge({ form, className = '' }) {
+  const now = useNow();
+  const badge = getScheduleBadge(form, now);
+  if (!badge) return null;
+
+  return (
+    <span
+      className={`px-2 py-1 inline-flex text-xs font-semibold rounded-full whitespace-nowrap ${badge.className} ${className}`}
+      title={badge.title}
+    >
+      {badge.label}
+    </span>
+  );
+}
@@ -0,0 +1,63 @@
+import { toDateTimeInputValue, fromDateTimeInputValue, validateSchedule } from '../lib/formSchedule';
+
+// Editor card for when a form accepts responses. Times are entered in the
+// admin's local time zone and stored as ISO strings.
+export default function ScheduleSettings({ schedule, onChange }) {
+  const error = validateSchedule(schedule);
+  const update = (changes) => onChange({ ...schedule, ...changes });
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Availability</h2>
+        <p className="text-sm text-gray-500">
+          Leave blank to accept responses whenever the form is active
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="schedule-opens" className="block text-sm font-medium text-gray-700 mb-1.5">
+            Opens At
+          </label>
+          <input
+            id="schedule-opens"
+            type="datetime-local"
+            value={toDateTimeInputValue(schedule.opensAt)}
+            onChange={(e) => update({ opensAt: fromDateTimeInputValue(e.target.value) })}
+            className="input-field"
+          />
+        </div>
+        <div>
+          <label htmlFor="schedule-closes" className="block text-sm font-medium text-gray-700 mb-1.5">
+            Closes At
+          </label>
+          <input
+            id="schedule-closes"
+            type="datetime-local"
+            value={toDateTimeInputValue(schedule.closesAt)}
+            onChange={(e) => update({ closesAt: fromDateTimeInputValue(e.target.value) })}
+            className={`input-field ${error && schedule.closesAt ? 'input-error' : ''}`}
+          />
+        </div>
+        <div>
+          <label htmlFor="schedule-max" className="block text-sm font-medium text-gray-700 mb-1.5">
+            Maximum Responses
+          </label>
+          <input
+            id="schedule-max"
+            type="number"
+            min="1"
+            step="1"
+            value={schedule.maxResponses ?? ''}
+            onChange={(e) => update({ maxResponses: e.target.value === '' ? null : Number(e.target.value) })}
+            className="input-field"
+            placeholder="No limit"
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
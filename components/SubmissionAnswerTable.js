@@ -0,0 +1,255 @@
+import { useState, useEffect, useRef } from 'react';
+import { formatAnswerValue } from '../lib/submissionAnswers';
+import SubmissionBadges from './SubmissionBadges';
+import FileAnswer from './FileAnswer';
+
+const DEFAULT_COLUMN_WIDTH = 180;
+const MIN_COLUMN_WIDTH = 80;
+
+const layoutKey = (formId) => `submissionColumns:${formId}`;
+
+const loadLayout = (formId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(layoutKey(formId)));
+    return { hidden: stored?.hidden || [], widths: stored?.widths || {} };
+  } catch (e) {
+    return { hidden: [], widths: {} };
+  }
+};
+
+// Spreadsheet-style view of one form's submissions: a column per field,
+// with sorting and "contains" filters applied on the server.
+export default function SubmissionAnswerTable({
+  formId,
+  columns,
+  submissions,
+  sortBy,
+  sortOrder,
+  onSort,
+  answerFilters = [],
+  onAnswerFiltersChange,
+  onOpen,
+  loading = false,
+  selectedIds,
+  onToggleSelect,
+  onTogglePage,
+  renderReview
+}) {
+  const [hidden, setHidden] = useState([]);
+  const [widths, setWidths] = useState({});
+  const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const resizing = useRef(null);
+
+  useEffect(() => {
+    const layout = loadLayout(formId);
+    setHidden(layout.hidden);
+    setWidths(layout.widths);
+  }, [formId]);
+
+  const saveLayout = (nextHidden, nextWidths) => {
+    try {
+      localStorage.setItem(layoutKey(formId), JSON.stringify({ hidden: nextHidden, widths: nextWidths }));
+    } catch (e) {
+      // Column layout is a convenience; ignore storage errors
+    }
+  };
+
+  const toggleColumn = (name) => {
+    const nextHidden = hidden.includes(name) ? hidden.filter(n => n !== name) : [...hidden, name];
+    setHidden(nextHidden);
+    saveLayout(nextHidden, widths);
+  };
+
+  const startResize = (e, name) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startWidth = widths[name] || DEFAULT_COLUMN_WIDTH;
+    resizing.current = { startX: e.clientX, width: startWidth };
+
+    const handleMove = (moveEvent) => {
+      const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - resizing.current.startX);
+      resizing.current.width = width;
+      setWidths(prev => ({ ...prev, [name]: width }));
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      saveLayout(hidden, { ...widths, [name]: resizing.current.width });
+      resizing.current = null;
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const getFilterValue = (name) =>
+    answerFilters.find(f => f.field === name && f.operator === 'contains')?.value || '';
+
+  const setFilterValue = (name, value) => {
+    const others = answerFilters.filter(f => !(f.field === name && f.operator === 'contains'));
+    onAnswerFiltersChange(value ? [...others, { field: name, operator: 'contains', value }] : others);
+  };
+
+  const renderSortIcon = (key) =>
+    sortBy === key ? (
+      <span className="ml-1 text-blue-600">{sortOrder === 'asc' ? '▲' : '▼'}</span>
+    ) : null;
+
+  const visibleColumns = columns.filter(column => !hidden.includes(column.name));
+  const pageSelected = submissions.length > 0 && submissions.every(submission => selectedIds.has(submission._id));
+  const headerClass = 'sticky top-0 z-10 bg-gray-50 px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b border-gray-200';
+
+  return (
+    <div className="card overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 bg-white">
+        <p className="text-xs text-gray-500">
+          {visibleColumns.length} of {columns.length} columns shown · drag a header edge to resize
+        </p>
+        <div className="relative">
+          <button
+            type="button"
+            onClick={() => setShowColumnMenu(!showColumnMenu)}
+            className="text-sm font-medium text-blue-600 hover:text-blue-800"
+          >
+            Columns
+          </button>
+          {showColumnMenu && (
+            <div className="absolute right-0 mt-2 w-64 max-h-72 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg z-20 p-2">
+              {columns.map(column => (
+                <label key={column.name} className="flex items-center gap-2 px-2 py-1 text-sm text-gray-700 hover:bg-gray-50 rounded">
+                  <input
+                    type="checkbox"
+                    checked={!hidden.includes(column.name)}
+                    onChange={() => toggleColumn(column.name)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <span className="truncate">{column.label}</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-auto max-h-[70vh]">
+        <table className="min-w-full table-fixed border-separate border-spacing-0">
+          <thead>
+            <tr>
+              <th className={headerClass} style={{ width: 40 }}>
+                <input
+                  type="checkbox"
+                  checked={pageSelected}
+                  onChange={onTogglePage}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  aria-label="Select all on this page"
+                />
+              </th>
+              <th className={headerClass} style={{ width: 170, minWidth: 170 }}>
+                <button type="button" onClick={() => onSort('submittedAt')} className="uppercase hover:text-gray-700">
+                  Submitted At{renderSortIcon('submittedAt')}
+                </button>
+              </th>
+              <th className={headerClass} style={{ width: 150, minWidth: 150 }}>Review</th>
+              {visibleColumns.map(column => {
+                const sortKey = `answers.${column.name}`;
+                const width = widths[column.name] || DEFAULT_COLUMN_WIDTH;
+                return (
+                  <th key={column.name} className={`${headerClass} relative`} style={{ width, minWidth: width, maxWidth: width }}>
+                    <button
+                      type="button"
+                      onClick={() => onSort(sortKey)}
+                      className="block w-full text-left uppercase truncate hover:text-gray-700"
+                      title={column.label}
+                    >
+                      {column.label}{renderSortIcon(sortKey)}
+                    </button>
+                    <span
+                      onMouseDown={(e) => startResize(e, column.name)}
+                      className="absolute top-0 right-0 h-full w-1.5 cursor-col-resize hover:bg-blue-300"
+                      aria-hidden="true"
+                    ></span>
+                  </th>
+                );
+              })}
+              <th className={`${headerClass} text-right`} style={{ width: 80 }}>Actions</th>
+            </tr>
+            <tr>
+              <th className="sticky top-[33px] z-10 bg-gray-50 px-3 py-1.5 border-b border-gray-200"></th>
+              <th className="sticky top-[33px] z-10 bg-gray-50 px-3 py-1.5 border-b border-gray-200"></th>
+              <th className="sticky top-[33px] z-10 bg-gray-50 px-3 py-1.5 border-b border-gray-200"></th>
+              {visibleColumns.map(column => (
+                <th key={column.name} className="sticky top-[33px] z-10 bg-gray-50 px-3 py-1.5 border-b border-gray-200">
+                  <input
+                    type="text"
+                    value={getFilterValue(column.name)}
+                    onChange={(e) => setFilterValue(column.name, e.target.value)}
+                    placeholder="Filter..."
+                    className="w-full px-2 py-1 text-xs font-normal border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    aria-label={`Filter ${column.label}`}
+                  />
+                </th>
+              ))}
+              <th className="sticky top-[33px] z-10 bg-gray-50 px-3 py-1.5 border-b border-gray-200"></th>
+            </tr>
+          </thead>
+          <tbody className={`bg-white transition-opacity ${loading ? 'opacity-50' : ''}`}>
+            {submissions.length === 0 && !loading && (
+              <tr>
+                <td colSpan={visibleColumns.length + 4} className="px-3 py-8 text-center text-sm text-gray-500">
+                  No submissions match these filters.
+                </td>
+              </tr>
+            )}
+            {submissions.map(submission => {
+              const answers = Object.fromEntries((submission.answers || []).map(a => [a.name, a.value]));
+              return (
+                <tr
+                  key={submission._id}
+                  className={`transition-colors ${selectedIds.has(submission._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                >
+                  <td className="px-3 py-2.5 border-b border-gray-100">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(submission._id)}
+                      onChange={() => onToggleSelect(submission)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                      aria-label="Select submission"
+                    />
+                  </td>
+                  <td className="px-3 py-2.5 whitespace-nowrap text-sm text-gray-500 border-b border-gray-100">
+                    {new Date(submission.submittedAt).toLocaleString()}
+                    <SubmissionBadges submission={submission} />
+                  </td>
+                  <td className="px-3 py-2.5 border-b border-gray-100">{renderReview(submission)}</td>
+                  {visibleColumns.map(column => (
+                    <td
+                      key={column.name}
+                      className="px-3 py-2.5 text-sm text-gray-700 border-b border-gray-100 truncate"
+                      style={{ maxWidth: widths[column.name] || DEFAULT_COLUMN_WIDTH }}
+                      title={column.name in answers ? formatAnswerValue(answers[column.name]) : undefined}
+                    >
+                      {!(column.name in answers) ? (
+                        <span className="text-gray-300">-</span>
+                      ) : column.type === 'file' ? (
+                        <FileAnswer submissionId={submission._id} fieldName={column.name} value={answers[column.name]} compact />
+                      ) : (
+                        formatAnswerValue(answers[column.name])
+                      )}
+                    </td>
+                  ))}
+                  <td className="px-3 py-2.5 whitespace-nowrap text-right text-sm font-medium border-b border-gray-100">
+                    <button
+                      onClick={() => onOpen(submission._id)}
+                      className="px-3 py-1.5 text-indigo-600 hover:text-indigo-900 hover:bg-indigo-50 rounded-md transition-colors"
+                    >
+                      View
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
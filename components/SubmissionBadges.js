@@ -0,0 +1,18 @@
+// Review state and tags of a submission, shown in the list rows
+export default function SubmissionBadges({ submission }) {
+  const tags = Array.isArray(submission.tags) ? submission.tags : [];
+  if (!submission.reviewed && tags.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {submission.reviewed && (
+        <span className="px-1.5 py-0.5 text-xs font-medium rounded bg-green-100 text-green-800">Reviewed</span>
+      )}
+      {tags.map(tag => (
+        <span key={tag} className="px-1.5 py-0.5 text-xs font-medium rounded bg-purple-100 text-purple-800">
+          {tag}
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+
+const parseTags = (text) =>
+  [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+
+// Toolbar shown above the submissions list while rows are selected
+export default function SubmissionBulkActions({
+  selectedCount,
+  allMatching,
+  total,
+  canSelectAllMatching,
+  busy,
+  onSelectAllMatching,
+  onClear,
+  onMarkReviewed,
+  onAddTags,
+  onRemoveTags,
+  onExport,
+  onDelete
+}) {
+  const [tagText, setTagText] = useState('');
+  const tags = parseTags(tagText);
+
+  const handleTags = async (action) => {
+    if (tags.length === 0) return;
+    if (await action(tags)) setTagText('');
+  };
+
+  const buttonClass = 'text-xs sm:text-sm px-3 py-1.5 rounded-md font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="card p-3 sm:p-4 space-y-3 border-blue-200 bg-blue-50">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm text-blue-900">
+        <span className="font-medium">
+          {allMatching
+            ? `All ${total} matching submission${total !== 1 ? 's' : ''} selected`
+            : `${selectedCount} selected`}
+        </span>
+        {canSelectAllMatching && !allMatching && (
+          <button onClick={onSelectAllMatching} className="text-blue-700 hover:text-blue-900 underline">
+            Select all {total} matching the filters
+          </button>
+        )}
+        <button onClick={onClear} className="text-blue-700 hover:text-blue-900 underline">
+          Clear selection
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onMarkReviewed(true)}
+          disabled={busy}
+          className={`${buttonClass} bg-green-600 text-white hover:bg-green-700`}
+        >
+          Mark Reviewed
+        </button>
+        <button
+          onClick={() => onMarkReviewed(false)}
+          disabled={busy}
+          className={`${buttonClass} bg-white text-gray-700 border border-gray-300 hover:bg-gray-50`}
+        >
+          Mark Unreviewed
+        </button>
+
+        <div className="flex items-center gap-1">
+          <input
+            type="text"
+            value={tagText}
+            onChange={(e) => setTagText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleTags(onAddTags);
+              }
+            }}
+            placeholder="tag, another tag"
+            className="text-sm px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 w-40"
+            aria-label="Tags"
+          />
+          <button
+            onClick={() => handleTags(onAddTags)}
+            disabled={busy || tags.length === 0}
+            className={`${buttonClass} bg-white text-gray-700 border border-gray-300 hover:bg-gray-50`}
+          >
+            Add Tags
+          </button>
+          <button
+            onClick={() => handleTags(onRemoveTags)}
+            disabled={busy || tags.length === 0}
+            className={`${buttonClass} bg-white text-gray-700 border border-gray-300 hover:bg-gray-50`}
+          >
+            Remove Tags
+          </button>
+        </div>
+
+        <button
+          onClick={() => onExport('xlsx')}
+          disabled={busy}
+          className={`${buttonClass} bg-white text-gray-700 border border-gray-300 hover:bg-gray-50`}
+        >
+          Export Excel
+        </button>
+        <button
+          onClick={() => onExport('ndjson')}
+          disabled={busy}
+          className={`${buttonClass} bg-white text-gray-700 border border-gray-300 hover:bg-gray-50`}
+        >
+          Export JSON
+        </button>
+
+        <button
+          onClick={onDelete}
+          disabled={busy}
+          className={`${buttonClass} bg-red-600 text-white hover:bg-red-700 sm:ml-auto`}
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
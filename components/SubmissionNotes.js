@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { submissionsAPI } from '../lib/api';
+import { buildNoteThreads, getAdminName } from '../lib/submissionReview';
+
+// Internal notes on a submission, grouped into threads with replies.
+// Notes are only visible to admins.
+export default function SubmissionNotes({ submission, onUpdated }) {
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [saving, setSaving] = useState(false);
+  const threads = buildNoteThreads(submission.notes || []);
+
+  const addNote = async (noteText, parentId = null) => {
+    if (!noteText.trim()) return false;
+    setSaving(true);
+    try {
+      const response = await submissionsAPI.addNote(submission._id, { text: noteText.trim(), parentId });
+      onUpdated(response.data);
+      return true;
+    } catch (error) {
+      alert(error.response?.data?.error || error.response?.data?.message || 'Error adding the note. Please try again.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await addNote(text)) setText('');
+  };
+
+  const handleReply = async (e, parentId) => {
+    e.preventDefault();
+    if (await addNote(replyText, parentId)) {
+      setReplyText('');
+      setReplyTo(null);
+    }
+  };
+
+  const renderNote = (note) => (
+    <div>
+      <p className="text-xs text-gray-500">
+        <span className="font-medium text-gray-700">{getAdminName(note.author)}</span>
+        {' · '}
+        {new Date(note.createdAt).toLocaleString()}
+      </p>
+      <p className="mt-1 text-sm text-gray-900 whitespace-pre-wrap break-words">{note.text}</p>
+    </div>
+  );
+
+  return (
+    <div className="card p-4 sm:p-6">
+      <h2 className="text-lg sm:text-xl font-semibold text-gray-900 mb-4">Internal Notes</h2>
+
+      {threads.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No notes yet.</p>
+      ) : (
+        <div className="space-y-4 mb-4">
+          {threads.map(({ note, replies }) => (
+            <div key={note._id} className="border border-gray-200 rounded-lg p-3">
+              {renderNote(note)}
+              {replies.length > 0 && (
+                <div className="mt-3 ml-3 pl-3 border-l-2 border-gray-200 space-y-3">
+                  {replies.map(reply => (
+                    <div key={reply._id}>{renderNote(reply)}</div>
+                  ))}
+                </div>
+              )}
+              {replyTo === note._id ? (
+                <form onSubmit={(e) => handleReply(e, note._id)} className="mt-3 ml-3 space-y-2">
+                  <textarea
+                    value={replyText}
+                    onChange={(e) => setReplyText(e.target.value)}
+                    rows={2}
+                    className="input-field w-full text-sm"
+                    placeholder="Write a reply..."
+                    autoFocus
+                  />
+                  <div className="flex gap-2">
+                    <button type="submit" disabled={saving || !replyText.trim()} className="btn-primary text-sm disabled:opacity-50">
+                      Reply
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setReplyTo(null);
+                        setReplyText('');
+                      }}
+                      className="btn-secondary text-sm"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <button
+                  onClick={() => {
+                    setReplyTo(note._id);
+                    setReplyText('');
+                  }}
+                  className="mt-2 text-xs font-medium text-blue-600 hover:text-blue-800"
+                >
+                  Reply
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleAdd} className="space-y-2">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={3}
+          className="input-field w-full text-sm"
+          placeholder="Add a note for other admins..."
+        />
+        <button type="submit" disabled={saving || !text.trim()} className="btn-primary text-sm disabled:opacity-50">
+          {saving && !replyTo ? 'Saving...' : 'Add Note'}
+        </button>
+      </form>
+    </div>
+  );
+}
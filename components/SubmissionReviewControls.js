@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import { submissionsAPI } from '../lib/api';
+import { REVIEW_STATUSES, getReviewStatus, getAssigneeId, getAdminName } from '../lib/submissionReview';
+import { isAdminActive } from '../lib/adminUsers';
+
+// Status and assignee pickers that save as soon as they change. Used in the
+// submissions list rows and on the detail page.
+export default function SubmissionReviewControls({ submission, admins = [], onUpdated, compact = false }) {
+  const [saving, setSaving] = useState(false);
+  const status = getReviewStatus(submission);
+  const assigneeId = getAssigneeId(submission);
+
+  const save = async (changes) => {
+    setSaving(true);
+    try {
+      const response = await submissionsAPI.updateReview(submission._id, changes);
+      onUpdated(response.data?._id ? response.data : { ...submission, ...changes });
+    } catch (error) {
+      alert(error.response?.data?.error || error.response?.data?.message || 'Error updating the review. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectClass = compact
+    ? 'text-xs px-1.5 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-50'
+    : 'input-field w-full disabled:opacity-50';
+
+  // Keep an assignee visible even if their account is no longer listed
+  const assigneeListed = !assigneeId || admins.some(admin => admin._id === assigneeId);
+
+  return (
+    <div className={compact ? 'flex flex-col gap-1' : 'space-y-3'}>
+      <div>
+        {!compact && <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>}
+        <select
+          value={status.value}
+          onChange={(e) => save({ status: e.target.value })}
+          disabled={saving}
+          className={`${selectClass} ${compact ? status.className : ''}`}
+          aria-label="Review status"
+        >
+          {REVIEW_STATUSES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        {!compact && <label className="block text-sm font-medium text-gray-700 mb-1">Assigned To</label>}
+        <select
+          value={assigneeId}
+          onChange={(e) => save({ assignee: e.target.value || null })}
+          disabled={saving}
+          className={selectClass}
+          aria-label="Assigned admin"
+        >
+          <option value="">Unassigned</option>
+          {!assigneeListed && (
+            <option value={assigneeId}>{getAdminName(submission.assignee)}</option>
+          )}
+          {/* Deactivated admins can't take new work but stay shown where assigned */}
+          {admins.filter(admin => isAdminActive(admin) || admin._id === assigneeId).map(admin => (
+            <option key={admin._id} value={admin._id}>{getAdminName(admin)}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
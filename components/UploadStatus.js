@@ -0,0 +1,46 @@
+// Progress of a submission that uploads files, or what went wrong with it.
+// The form stays mounted underneath, so canceling or a failed upload never
+// loses the answers and Retry sends them again.
+export default function UploadStatus({ progress, failure, onCancel, onRetry }) {
+  if (progress !== null && progress !== undefined) {
+    const percent = Math.round(progress * 100);
+    return (
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+        <div className="flex items-center justify-between text-sm mb-2">
+          <span className="font-medium text-blue-900">
+            {percent < 100 ? `Uploading files… ${percent}%` : 'Processing…'}
+          </span>
+          {percent < 100 && (
+            <button type="button" onClick={onCancel} className="text-blue-700 hover:text-blue-900 underline">
+              Cancel
+            </button>
+          )}
+        </div>
+        <div
+          className="h-2 bg-blue-100 rounded-full overflow-hidden"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={percent}
+        >
+          <div className="h-full bg-blue-600 rounded-full transition-all duration-200" style={{ width: `${percent}%` }} />
+        </div>
+      </div>
+    );
+  }
+
+  if (!failure) return null;
+
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+      <p className="text-sm text-amber-800">
+        {failure === 'canceled'
+          ? 'Upload canceled. Your answers are still here.'
+          : 'The upload failed, possibly because of a network problem. Your answers are still here.'}
+      </p>
+      <button type="button" onClick={onRetry} className="btn-primary whitespace-nowrap">
+        {failure === 'canceled' ? 'Submit Again' : 'Retry'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+import { useState } from 'react';
+import { CONDITION_OPERATORS, getOperatorsForType, describeCondition } from '../lib/conditionalLogic';
+
+const emptyRule = { action: 'show', logic: 'all', conditions: [] };
+
+export default function VisibilityRulesEditor({ visibility, fields = [], onChange }) {
+  const rule = visibility || emptyRule;
+  const conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
+  const [isExpanded, setIsExpanded] = useState(conditions.length > 0);
+
+  const updateRule = (changes) => {
+    const updated = { ...rule, ...changes };
+    // Store nothing when there are no conditions so unconditional fields stay clean
+    onChange(updated.conditions.length > 0 ? updated : null);
+  };
+
+  const updateCondition = (index, changes) => {
+    const updated = conditions.map((condition, i) => {
+      if (i !== index) return condition;
+      const next = { ...condition, ...changes };
+      if (changes.field !== undefined) {
+        // Reset the operator when the new field type doesn't support it
+        const target = fields.find(f => f.name === changes.field);
+        const operators = getOperatorsForType(target?.type);
+        if (!operators.includes(next.operator)) {
+          next.operator = operators[0];
+        }
+        next.value = '';
+      }
+      if (!CONDITION_OPERATORS[next.operator]?.needsValue) {
+        delete next.value;
+      }
+      return next;
+    });
+    updateRule({ conditions: updated });
+  };
+
+  const addCondition = () => {
+    const target = fields[0];
+    updateRule({
+      conditions: [
+        ...conditions,
+        { field: target?.name || '', operator: getOperatorsForType(target?.type)[0], value: '' }
+      ]
+    });
+  };
+
+  const removeCondition = (index) => {
+    updateRule({ conditions: conditions.filter((_, i) => i !== index) });
+  };
+
+  const renderValueInput = (condition, index) => {
+    if (!CONDITION_OPERATORS[condition.operator]?.needsValue) {
+      return null;
+    }
+    const target = fields.find(f => f.name === condition.field);
+    const inputClass = 'text-sm px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 w-full';
+
+    if (Array.isArray(target?.options) && target.options.length > 0) {
+      return (
+        <select
+          value={condition.value ?? ''}
+          onChange={(e) => updateCondition(index, { value: e.target.value })}
+          className={inputClass}
+        >
+          <option value="">-- Select option --</option>
+          {target.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type={target?.type === 'number' ? 'number' : target?.type === 'date' ? 'date' : 'text'}
+        value={condition.value ?? ''}
+        onChange={(e) => updateCondition(index, { value: e.target.value })}
+        className={inputClass}
+        placeholder="Value"
+      />
+    );
+  };
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-md">
+      <button
+        type="button"
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="text-sm font-medium text-gray-700 hover:text-gray-900 flex items-center gap-1.5"
+      >
+        <svg
+          className={`w-4 h-4 transition-transform ${isExpanded ? 'transform rotate-90' : ''}`}
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+        </svg>
+        Conditional Logic
+        {conditions.length > 0 && (
+          <span className="ml-1 px-2 py-0.5 rounded text-xs font-medium bg-purple-100 text-purple-800">
+            {conditions.length} condition{conditions.length !== 1 ? 's' : ''}
+          </span>
+        )}
+      </button>
+
+      {isExpanded && (
+        <div className="mt-3 space-y-3">
+          {fields.length === 0 ? (
+            <p className="text-xs text-gray-500">
+              Add other fields to this form to base conditions on them.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                <select
+                  value={rule.action}
+                  onChange={(e) => updateRule({ action: e.target.value })}
+                  className="text-sm px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="show">Show</option>
+                  <option value="hide">Hide</option>
+                </select>
+                <span>this field when</span>
+                <select
+                  value={rule.logic}
+                  onChange={(e) => updateRule({ logic: e.target.value })}
+                  className="text-sm px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="all">all (AND)</option>
+                  <option value="any">any (OR)</option>
+                </select>
+                <span>of these conditions are met:</span>
+              </div>
+
+              {conditions.map((condition, index) => {
+                const target = fields.find(f => f.name === condition.field);
+                return (
+                  <div key={index} className="bg-white p-2 rounded border border-gray-200">
+                    <div className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_1fr_auto] gap-2 items-center">
+                      <select
+                        value={condition.field}
+                        onChange={(e) => updateCondition(index, { field: e.target.value })}
+                        className={`text-sm px-2 py-1.5 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                          target ? 'border-gray-300' : 'border-red-400'
+                        }`}
+                      >
+                        {!target && <option value={condition.field}>Missing field ({condition.field || 'none'})</option>}
+                        {fields.map(f => (
+                          <option key={f.name} value={f.name}>{f.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={condition.operator}
+                        onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                        className="text-sm px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {getOperatorsForType(target?.type).map(op => (
+                          <option key={op} value={op}>{CONDITION_OPERATORS[op].label}</option>
+                        ))}
+                      </select>
+                      <div>{renderValueInput(condition, index)}</div>
+                      <button
+                        type="button"
+                        onClick={() => removeCondition(index)}
+                        className="text-xs px-2 py-1 bg-red-100 text-red-700 rounded hover:bg-red-200"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                    {!target && (
+                      <p className="mt-1 text-xs text-red-600">
+                        The field this condition refers to no longer exists.
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+
+              <button
+                type="button"
+                onClick={addCondition}
+                className="text-xs px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700"
+              >
+                + Add Condition
+              </button>
+
+              {conditions.length > 0 && (
+                <p className="text-xs text-gray-500">
+                  {rule.action === 'hide' ? 'Hidden' : 'Shown'} when{' '}
+                  {conditions.map(c => describeCondition(c, fields)).join(rule.logic === 'any' ? ' OR ' : ' AND ')}.
+                  Hidden fields are skipped by validation and not submitted.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
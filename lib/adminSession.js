@@ -0,0 +1,46 @@
+// The signed-in admin. The token is what authenticates API requests; the
+// admin's id and username are kept next to it for display. Sessions from
+// before the username was stored fall back to the token's payload.
+
+const TOKEN_KEY = 'adminToken';
+const ADMIN_KEY = 'adminUser';
+
+const decodeTokenPayload = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch (e) {
+    return null;
+  }
+};
+
+export const saveSession = (token, admin) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(ADMIN_KEY, JSON.stringify({
+    id: admin?._id || admin?.id || null,
+    username: admin?.username || ''
+  }));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(ADMIN_KEY);
+};
+
+// { id, username } of the signed-in admin, or null when signed out
+export const getCurrentAdmin = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (!token) return null;
+
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(ADMIN_KEY));
+  } catch (e) {
+    stored = null;
+  }
+  const payload = decodeTokenPayload(token) || {};
+  return {
+    id: stored?.id || payload.id || payload._id || payload.sub || null,
+    username: stored?.username || payload.username || ''
+  };
+};
@@ -0,0 +1,58 @@
+// Admin accounts. Admins are invited with a temporary password that the
+// inviter passes on; deactivated admins (isActive false) keep their history
+// on submissions but can no longer sign in.
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const PASSWORD_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+const TEMPORARY_PASSWORD_LENGTH = 14;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]+$/;
+
+// Accounts from before deactivation existed have no flag and are active
+export const isAdminActive = (admin) => admin?.isActive !== false;
+
+// Readable random password without look-alike characters (0/O, 1/l/I)
+export const generateTemporaryPassword = () => {
+  const values = new Uint32Array(TEMPORARY_PASSWORD_LENGTH);
+  crypto.getRandomValues(values);
+  return Array.from(values, value => PASSWORD_CHARS[value % PASSWORD_CHARS.length]).join('');
+};
+
+export const validatePassword = (password) => {
+  if (!password) return 'Password is required';
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return '';
+};
+
+// Returns { [field]: message } for the invite form; empty when valid
+export const validateAdminInvite = ({ username, email, password }, admins = []) => {
+  const errors = {};
+  const name = username.trim();
+  if (!name) {
+    errors.username = 'Username is required';
+  } else if (!USERNAME_PATTERN.test(name)) {
+    errors.username = 'Use only letters, numbers, dots, dashes and underscores';
+  } else if (admins.some(admin => admin.username?.toLowerCase() === name.toLowerCase())) {
+    errors.username = 'An admin with this username already exists';
+  }
+  if (email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    errors.email = 'Enter a valid email address';
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) errors.password = passwordError;
+  return errors;
+};
+
+// Deactivating is refused for your own account and for the last active
+// admin, either of which would lock the team out; returns the reason or ''
+export const getDeactivateBlocker = (admin, admins, currentAdmin) => {
+  if (currentAdmin && (admin._id === currentAdmin.id || admin.username === currentAdmin.username)) {
+    return 'You cannot deactivate your own account.';
+  }
+  if (admins.filter(isAdminActive).length <= 1) {
+    return 'At least one admin must stay active.';
+  }
+  return '';
+};
@@ -0,0 +1,105 @@
+// Conditions on individual answers for the submissions list. They travel to
+// the API (and into shareable URLs) as
+//
+//   answerFilters: [{ field: 'budget', operator: 'greater_than', value: '10000' }]
+//
+// where `between` takes `value: { from, to }` with either end optional.
+
+// input: what the value editor looks like ('text', 'option', 'range' or none)
+export const ANSWER_FILTER_OPERATORS = {
+  contains: { label: 'contains', input: 'text' },
+  equals: { label: 'equals', input: 'text' },
+  not_equals: { label: 'does not equal', input: 'text' },
+  greater_than: { label: 'is greater than', input: 'text' },
+  less_than: { label: 'is less than', input: 'text' },
+  between: { label: 'is between', input: 'range' },
+  includes: { label: 'includes', input: 'option' },
+  not_includes: { label: 'does not include', input: 'option' },
+  is_checked: { label: 'is checked' },
+  is_not_checked: { label: 'is not checked' },
+  is_empty: { label: 'is empty' },
+  is_not_empty: { label: 'is not empty' }
+};
+
+const operatorsByType = {
+  number: ['equals', 'not_equals', 'greater_than', 'less_than', 'between', 'is_empty', 'is_not_empty'],
+  date: ['equals', 'greater_than', 'less_than', 'between', 'is_empty', 'is_not_empty'],
+  select: ['equals', 'not_equals', 'is_empty', 'is_not_empty'],
+  radio: ['equals', 'not_equals', 'is_empty', 'is_not_empty'],
+  checkbox_group: ['includes', 'not_includes', 'is_empty', 'is_not_empty'],
+  multiselect: ['includes', 'not_includes', 'is_empty', 'is_not_empty'],
+  checkbox: ['is_checked', 'is_not_checked'],
+  file: ['is_empty', 'is_not_empty']
+};
+
+const defaultOperators = ['contains', 'equals', 'not_equals', 'is_empty', 'is_not_empty'];
+
+// Dates read better as before/after than as less/greater than
+const dateLabels = { equals: 'is on', greater_than: 'is after', less_than: 'is before' };
+
+export const getAnswerFilterOperators = (type) => operatorsByType[type] || defaultOperators;
+
+export const getOperatorLabel = (operator, type) =>
+  (type === 'date' && dateLabels[operator]) || ANSWER_FILTER_OPERATORS[operator]?.label || operator;
+
+// The editor to show for a condition's value: 'option' pickers for choice
+// fields, typed inputs otherwise, or null when the operator takes no value
+export const getValueInput = (operator, field) => {
+  const input = ANSWER_FILTER_OPERATORS[operator]?.input;
+  if (!input) return null;
+  if (input === 'range') return 'range';
+  const hasOptions = Array.isArray(field?.options) && field.options.length > 0;
+  if (hasOptions && (input === 'option' || field.type === 'select' || field.type === 'radio')) return 'option';
+  return 'text';
+};
+
+export const createAnswerFilter = (column) => ({
+  field: column?.name || '',
+  operator: getAnswerFilterOperators(column?.type)[0],
+  value: ''
+});
+
+// Switching field or operator keeps the value only while it still makes sense
+export const updateAnswerFilter = (filter, changes, columns = []) => {
+  const next = { ...filter, ...changes };
+  const column = columns.find(c => c.name === next.field);
+  if (changes.field !== undefined && changes.field !== filter.field) {
+    const operators = getAnswerFilterOperators(column?.type);
+    if (!operators.includes(next.operator)) next.operator = operators[0];
+    next.value = '';
+  }
+  const input = ANSWER_FILTER_OPERATORS[next.operator]?.input;
+  if (!input) {
+    delete next.value;
+  } else if (input === 'range' && (typeof next.value !== 'object' || next.value === null)) {
+    next.value = { from: '', to: '' };
+  } else if (input !== 'range' && typeof next.value === 'object') {
+    next.value = '';
+  }
+  return next;
+};
+
+// A condition is sent to the server only once it has everything it needs
+export const isCompleteAnswerFilter = (filter) => {
+  const operator = ANSWER_FILTER_OPERATORS[filter?.operator];
+  if (!filter?.field || !operator) return false;
+  if (!operator.input) return true;
+  if (operator.input === 'range') return Boolean(filter.value?.from || filter.value?.to);
+  return typeof filter.value === 'string' && filter.value.trim() !== '';
+};
+
+export const describeAnswerFilter = (filter, columns = []) => {
+  const column = columns.find(c => c.name === filter.field);
+  const label = column?.label || filter.field;
+  const operator = getOperatorLabel(filter.operator, column?.type);
+  const input = ANSWER_FILTER_OPERATORS[filter.operator]?.input;
+  if (!input) return `${label} ${operator}`;
+  if (input === 'range') {
+    const { from, to } = filter.value || {};
+    if (from && to) return `${label} ${operator} ${from} and ${to}`;
+    return from
+      ? `${label} ${column?.type === 'date' ? 'is on or after' : 'is at least'} ${from}`
+      : `${label} ${column?.type === 'date' ? 'is on or before' : 'is at most'} ${to}`;
+  }
+  return `${label} ${operator} "${filter.value}"`;
+};
@@ -28,6 +28,10 @@ export const formsAPI = {
   update: (id, data) => api.put(`/forms/${id}`, data),
   delete: (id) => api.delete(`/forms/${id}`),
   restore: (id) => api.post(`/forms/${id}/restore`),
+  purge: (id) => api.delete(`/forms/${id}/permanent`),
+  getVersions: (id) => api.get(`/forms/${id}/versions`),
+  getVersion: (id, version) => api.get(`/forms/${id}/versions/${version}`),
+  rollback: (id, version) => api.post(`/forms/${id}/versions/${version}/rollback`),
 };
 
 // Submissions API
@@ -54,12 +58,36 @@ export const submissionsAPI = {
     params: { formId },
     responseType: 'blob'
   }),
+  // Bulk actions take a selection of either { ids } or { filters } (every
+  // submission matching the list filters). Deleting is soft so it can be undone:
+  // bulkDelete responds with { count, deletedIds } for bulkRestore.
+  bulkDelete: (selection) => api.post('/submissions/bulk/delete', selection),
+  bulkRestore: (ids) => api.post('/submissions/bulk/restore', { ids }),
+  bulkUpdate: (selection, changes) => api.patch('/submissions/bulk', { ...selection, changes }),
+  updateReview: (id, changes) => api.patch(`/submissions/${id}/review`, changes),
+  addNote: (id, note) => api.post(`/submissions/${id}/notes`, note),
+  // index is the file's position in a multi-file answer (0 for single files)
+  downloadFile: (id, fieldName, index = 0) => api.get(`/submissions/${id}/files/${encodeURIComponent(fieldName)}/${index}`, {
+    responseType: 'blob'
+  }),
+};
+
+// Drafts API (server-side save & resume for public forms)
+export const draftsAPI = {
+  save: (data) => api.post('/drafts', data),
+  update: (token, data) => api.put(`/drafts/${token}`, data),
+  getByToken: (token) => api.get(`/drafts/${token}`),
+  delete: (token) => api.delete(`/drafts/${token}`),
 };
 
 // Admin API
 export const adminAPI = {
   login: (credentials) => api.post('/admin/login', credentials),
   createAdmin: (data) => api.post('/admin/create', data),
+  getAll: () => api.get('/admin/users'),
+  // changes: { isActive } to deactivate or reactivate an admin
+  update: (id, changes) => api.patch(`/admin/users/${id}`, changes),
+  resetPassword: (id, password) => api.post(`/admin/users/${id}/reset-password`, { password }),
 };
 
 export default api;
@@ -0,0 +1,173 @@
+// Show/hide rules for top-level fields. A field's rule lives on the field as
+//
+//   visibility: {
+//     action: 'show' | 'hide',
+//     logic: 'all' | 'any',
+//     conditions: [{ field: 'other_field_name', operator: 'equals', value: 'Sales' }]
+//   }
+//
+// With no conditions the field is always shown.
+
+export const CONDITION_OPERATORS = {
+  equals: { label: 'equals', needsValue: true },
+  not_equals: { label: 'does not equal', needsValue: true },
+  contains: { label: 'contains', needsValue: true },
+  greater_than: { label: 'is greater than', needsValue: true },
+  less_than: { label: 'is less than', needsValue: true },
+  is_empty: { label: 'is empty', needsValue: false },
+  is_checked: { label: 'is checked', needsValue: false }
+};
+
+const operatorsByType = {
+  checkbox: ['is_checked'],
+  number: ['equals', 'not_equals', 'greater_than', 'less_than', 'is_empty'],
+  date: ['equals', 'not_equals', 'greater_than', 'less_than', 'is_empty'],
+  select: ['equals', 'not_equals', 'is_empty'],
+  radio: ['equals', 'not_equals', 'is_empty'],
+  checkbox_group: ['contains', 'is_empty'],
+  multiselect: ['contains', 'is_empty']
+};
+
+const defaultOperators = ['equals', 'not_equals', 'contains', 'is_empty'];
+
+export const getOperatorsForType = (type) => operatorsByType[type] || defaultOperators;
+
+export const hasVisibilityRule = (field) =>
+  Array.isArray(field?.visibility?.conditions) && field.visibility.conditions.length > 0;
+
+const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  value === false ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const toComparable = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  if (value instanceof Date) return value.getTime();
+  const num = Number(value);
+  if (!isNaN(num)) return num;
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+};
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+export const evaluateCondition = (condition, value) => {
+  switch (condition.operator) {
+    case 'equals':
+      return Array.isArray(value)
+        ? value.some(item => normalize(item) === normalize(condition.value))
+        : normalize(value) === normalize(condition.value);
+    case 'not_equals':
+      return Array.isArray(value)
+        ? !value.some(item => normalize(item) === normalize(condition.value))
+        : normalize(value) !== normalize(condition.value);
+    case 'contains':
+      // For multi-value answers "contains" means the option was one of those picked
+      return Array.isArray(value)
+        ? value.some(item => normalize(item) === normalize(condition.value))
+        : normalize(value).includes(normalize(condition.value));
+    case 'greater_than':
+    case 'less_than': {
+      const left = toComparable(value);
+      const right = toComparable(condition.value);
+      if (left === null || right === null) return false;
+      return condition.operator === 'greater_than' ? left > right : left < right;
+    }
+    case 'is_empty':
+      return isEmptyValue(value);
+    case 'is_checked':
+      return value === true || value === 'true';
+    default:
+      return false;
+  }
+};
+
+// Works out which fields are hidden for the given answers. A field's rule is
+// evaluated after the rules of the fields its conditions point at, wherever
+// they sit in the form, and a condition on a hidden field sees an empty
+// value, so hiding one field cascades to every field that depends on it.
+// Rules that depend on each other are rejected on save (see
+// findVisibilityCycle); should one slip through, the field that closes the
+// loop is treated as hidden rather than evaluated twice.
+export const getHiddenFieldNames = (fields = [], values = {}) => {
+  const byName = new Map(fields.filter(field => field.name).map(field => [field.name, field]));
+  const resolved = new Map(); // name -> visible
+  const resolving = new Set();
+
+  const isVisible = (name) => {
+    const field = byName.get(name);
+    if (!field || !hasVisibilityRule(field)) return true;
+    if (resolved.has(name)) return resolved.get(name);
+    if (resolving.has(name)) return false;
+
+    resolving.add(name);
+    const { action = 'show', logic = 'all', conditions } = field.visibility;
+    const results = conditions.map(condition =>
+      evaluateCondition(condition, isVisible(condition.field) ? values[condition.field] : undefined)
+    );
+    resolving.delete(name);
+
+    const matched = logic === 'any' ? results.some(Boolean) : results.every(Boolean);
+    const visible = action === 'hide' ? !matched : matched;
+    resolved.set(name, visible);
+    return visible;
+  };
+
+  const hidden = new Set();
+  fields.forEach(field => {
+    if (field.name && !isVisible(field.name)) hidden.add(field.name);
+  });
+  return hidden;
+};
+
+// Labels of fields whose show/hide rules depend on each other, directly or
+// through other fields, in dependency order; null when there is no loop
+export const findVisibilityCycle = (fields = []) => {
+  const byName = new Map(fields.filter(field => field.name).map(field => [field.name, field]));
+  const done = new Set();
+  const path = [];
+
+  const visit = (name) => {
+    if (done.has(name)) return null;
+    const index = path.indexOf(name);
+    if (index !== -1) return path.slice(index);
+    const field = byName.get(name);
+    if (!field || !hasVisibilityRule(field)) return null;
+
+    path.push(name);
+    for (const condition of field.visibility.conditions) {
+      const cycle = visit(condition.field);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    done.add(name);
+    return null;
+  };
+
+  for (const name of byName.keys()) {
+    const cycle = visit(name);
+    if (cycle) return cycle.map(cycleName => byName.get(cycleName).label || cycleName);
+  }
+  return null;
+};
+
+// Editor-side check; returns an error message or ''
+export const validateVisibilityRules = (fields = []) => {
+  const cycle = findVisibilityCycle(fields);
+  if (!cycle) return '';
+  return cycle.length === 1
+    ? `The show/hide rule of "${cycle[0]}" depends on the field itself. Please change its conditions.`
+    : `The show/hide rules of ${cycle.map(label => `"${label}"`).join(', ')} depend on each other in a loop. Please change one of them.`;
+};
+
+export const describeCondition = (condition, fields = []) => {
+  const target = fields.find(f => f.name === condition.field);
+  const operator = CONDITION_OPERATORS[condition.operator];
+  const label = target?.label || condition.field || '?';
+  if (!operator) return label;
+  return operator.needsValue
+    ? `${label} ${operator.label} "${condition.value ?? ''}"`
+    : `${label} ${operator.label}`;
+};
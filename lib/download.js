@@ -0,0 +1,16 @@
+// Triggers a browser download for data built on the client
+
+export const toFileSlug = (title) =>
+  (title || 'form').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+
+export const downloadBlob = (data, filename, type) => {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
@@ -0,0 +1,38 @@
+// Forms embedded on other sites render at /embed/[id] inside an iframe. The
+// frame tells the host page its height and when the form is submitted over
+// postMessage; public/embed.js listens for these to size the iframe and
+// re-dispatch them as DOM events. Keep the two in sync.
+
+export const EMBED_MESSAGE_SOURCE = 'form-embed';
+
+export const EMBED_EVENTS = {
+  resize: 'resize',
+  submit: 'submit',
+  success: 'success',
+  error: 'error',
+  redirect: 'redirect'
+};
+
+// Height used by the plain iframe snippet, which can't resize itself
+export const DEFAULT_EMBED_HEIGHT = 600;
+
+// The host page is on another origin we don't know, so messages go to any
+// parent. They carry ids, sizes and a redirect address without answers, never
+// the respondent's answers: FormConfirmation leaves a redirect that includes
+// answers to the respondent's own click on its link.
+export const postToHost = (type, formId, detail = {}) => {
+  if (typeof window === 'undefined' || window.parent === window) return;
+  window.parent.postMessage({ source: EMBED_MESSAGE_SOURCE, type, formId, ...detail }, '*');
+};
+
+const escapeAttribute = (value = '') =>
+  String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+export const getEmbedUrl = (origin, formId) => `${origin}/embed/${formId}`;
+
+export const buildIframeSnippet = (origin, form) =>
+  `<iframe src="${getEmbedUrl(origin, form._id)}" title="${escapeAttribute(form.title)}" ` +
+  `width="100%" height="${DEFAULT_EMBED_HEIGHT}" style="border:0;" loading="lazy"></iframe>`;
+
+export const buildScriptSnippet = (origin, form) =>
+  `<script src="${origin}/embed.js" data-form-id="${form._id}" async></script>`;
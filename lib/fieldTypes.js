@@ -0,0 +1,21 @@
+// Field types that are configured with an options list
+export const OPTION_FIELD_TYPES = ['select', 'radio', 'checkbox_group', 'multiselect'];
+
+// Field types whose answer is an array of selected options
+export const MULTI_VALUE_FIELD_TYPES = ['checkbox_group', 'multiselect'];
+
+export const needsOptions = (type) => OPTION_FIELD_TYPES.includes(type);
+
+export const isMultiValueField = (field) => MULTI_VALUE_FIELD_TYPES.includes(field?.type);
+
+// Every type a top-level field can have, including the builder's page breaks
+export const FIELD_TYPES = [
+  'text', 'textarea', 'number', 'email', 'date', 'checkbox',
+  'radio', 'select', 'checkbox_group', 'multiselect', 'file', 'page_break'
+];
+
+// Types available for fields nested under a select/radio option
+export const NESTED_FIELD_TYPES = ['text', 'textarea', 'number', 'email', 'date', 'checkbox'];
+
+// Field types that can reveal nested fields for each of their options
+export const CONDITIONAL_PARENT_TYPES = ['select', 'radio'];
@@ -0,0 +1,109 @@
+// Upload restrictions for file fields, stored in field.validation:
+//   accept       comma-separated MIME types and extensions ("image/*, .pdf")
+//   maxFileSize  largest allowed file in MB
+//   minFiles     fewest files (a required field needs at least one)
+//   maxFiles     most files; a field takes several files when this or
+//                minFiles is above 1, otherwise it keeps a single file
+
+const MB = 1024 * 1024;
+
+const toPositiveInt = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+export const parseAcceptList = (accept = '') =>
+  String(accept)
+    .split(',')
+    .map(token => token.trim().toLowerCase())
+    .filter(Boolean);
+
+export const getFileRules = (field) => {
+  const validation = field?.validation || {};
+  const maxFileSize = Number(validation.maxFileSize);
+  const minFiles = toPositiveInt(validation.minFiles);
+  const maxFiles = toPositiveInt(validation.maxFiles);
+  return {
+    accept: parseAcceptList(validation.accept),
+    maxSize: maxFileSize > 0 ? maxFileSize * MB : null,
+    minFiles: minFiles || (field?.required ? 1 : 0),
+    maxFiles: maxFiles || (minFiles > 1 ? null : 1),
+    multiple: (maxFiles || 0) > 1 || (minFiles || 0) > 1
+  };
+};
+
+export const allowsMultipleFiles = (field) => getFileRules(field).multiple;
+
+// A file field's value is a File, an array of Files, or empty
+export const toFileList = (value) => {
+  const items = Array.isArray(value) ? value : value ? [value] : [];
+  return items.filter(item => typeof File !== 'undefined' && item instanceof File);
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < MB) return `${Math.round(bytes / 1024)} KB`;
+  const size = bytes / MB;
+  return `${size >= 10 ? Math.round(size) : Math.round(size * 10) / 10} MB`;
+};
+
+const getExtension = (name = '') => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot).toLowerCase() : '';
+};
+
+// Same matching as the browser's accept attribute: ".ext", "type/*" or an
+// exact MIME type
+export const matchesAccept = (file, accept) => {
+  if (accept.length === 0) return true;
+  const type = (file.type || '').toLowerCase();
+  const extension = getExtension(file.name);
+  return accept.some(token => {
+    if (token.startsWith('.')) return extension === token;
+    if (token.endsWith('/*')) return type.startsWith(token.slice(0, -1));
+    return type === token;
+  });
+};
+
+// Problem with a single file, or null
+export const getFileError = (file, rules) => {
+  if (!matchesAccept(file, rules.accept)) {
+    return `${file.name} is not an allowed file type (${rules.accept.join(', ')})`;
+  }
+  if (rules.maxSize && file.size > rules.maxSize) {
+    return `${file.name} is larger than ${formatFileSize(rules.maxSize)}`;
+  }
+  return null;
+};
+
+// Problem with the field's files as a whole, or null
+export const getFileListError = (files, rules, label) => {
+  if (files.length < rules.minFiles) {
+    return rules.minFiles === 1
+      ? `${label} is required`
+      : `Attach at least ${rules.minFiles} files for ${label}`;
+  }
+  if (rules.maxFiles && files.length > rules.maxFiles) {
+    return rules.maxFiles === 1
+      ? `Attach only one file for ${label}`
+      : `Attach at most ${rules.maxFiles} files for ${label}`;
+  }
+  for (const file of files) {
+    const error = getFileError(file, rules);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Short summary shown under the input, e.g. "image/*, .pdf · up to 5 MB each · up to 3 files"
+export const describeFileRules = (rules) => {
+  const parts = [];
+  if (rules.accept.length > 0) parts.push(rules.accept.join(', '));
+  if (rules.maxSize) parts.push(`up to ${formatFileSize(rules.maxSize)}${rules.multiple ? ' each' : ''}`);
+  if (rules.multiple) {
+    if (rules.minFiles > 1 && rules.maxFiles) parts.push(`${rules.minFiles}–${rules.maxFiles} files`);
+    else if (rules.minFiles > 1) parts.push(`at least ${rules.minFiles} files`);
+    else if (rules.maxFiles) parts.push(`up to ${rules.maxFiles} files`);
+  }
+  return parts.join(' · ');
+};
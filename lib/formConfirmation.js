@@ -0,0 +1,120 @@
+// What respondents see after submitting. Each form can store
+// `confirmation: { message, redirectUrl, includeAnswersInRedirect,
+// allowAnotherResponse }`; missing values fall back to the defaults below.
+
+import { isPageBreak } from './formPages';
+import { formatAnswerValue } from './submissionAnswers';
+
+export const DEFAULT_CONFIRMATION = {
+  message: '',
+  redirectUrl: '',
+  includeAnswersInRedirect: false,
+  allowAnotherResponse: false
+};
+
+export const DEFAULT_CONFIRMATION_MESSAGE = 'Thank you for your submission.';
+
+// Seconds the thank-you screen stays up before a configured redirect
+export const REDIRECT_DELAY_SECONDS = 3;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+export const getConfirmation = (form) => ({
+  ...DEFAULT_CONFIRMATION,
+  ...(form?.confirmation || {})
+});
+
+export const isValidRedirectUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+};
+
+// Editor-side checks; returns an error message or ''
+export const validateConfirmation = (confirmation) => {
+  const redirectUrl = confirmation?.redirectUrl?.trim();
+  if (redirectUrl && !isValidRedirectUrl(redirectUrl)) {
+    return 'Redirect URL must be a full http:// or https:// address.';
+  }
+  return '';
+};
+
+// Every answer a message can reference, conditional fields included, as
+// { name, label } in form order
+export const getPlaceholderFields = (fields = []) =>
+  [...fields]
+    .filter(field => !isPageBreak(field) && field.name)
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .flatMap(field => [
+      { name: field.name, label: field.label || field.name },
+      ...Object.entries(field.conditionalFields || {}).flatMap(([option, nested]) =>
+        (Array.isArray(nested) ? nested : [])
+          .filter(nestedField => nestedField.name)
+          .map(nestedField => ({
+            name: `${field.name}_${nestedField.name}`,
+            label: `${field.label || field.name} (${option}): ${nestedField.label || nestedField.name}`
+          }))
+      )
+    ]);
+
+// Placeholder names used in a message, in order of first use
+export const getMessagePlaceholders = (message = '') =>
+  [...new Set([...message.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+const toAnswerMap = (answers = []) =>
+  new Map(answers.map(answer => [answer.name, answer.value]));
+
+// Replaces {{field_name}} with the respondent's answer. Unknown names and
+// unanswered fields become an empty string so no braces leak into the text.
+export const renderConfirmationMessage = (message, answers) => {
+  const answersByName = toAnswerMap(answers);
+  return (message || '').replace(PLACEHOLDER_PATTERN, (_, name) => {
+    if (!answersByName.has(name)) return '';
+    const value = answersByName.get(name);
+    const formatted = formatAnswerValue(value === 'true' ? true : value === 'false' ? false : value);
+    return formatted === '-' ? '' : formatted;
+  });
+};
+
+// Splits rendered text into paragraphs (blank lines) of lines, so the
+// thank-you screen can keep the admin's line breaks without rendering HTML
+export const toParagraphs = (text) =>
+  text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.split('\n').map(line => line.trim()).filter(Boolean))
+    .filter(lines => lines.length > 0);
+
+// Includes conditional fields, whose answers are named `${parent}_${nested}`
+const getFileFieldNames = (fields) => {
+  const names = new Set();
+  fields.forEach(field => {
+    if (field.type === 'file') names.add(field.name);
+    Object.values(field.conditionalFields || {}).forEach(nested => {
+      (Array.isArray(nested) ? nested : []).forEach(nestedField => {
+        if (nestedField.type === 'file') names.add(`${field.name}_${nestedField.name}`);
+      });
+    });
+  });
+  return names;
+};
+
+// Answers become query parameters named after their fields; uploaded files
+// are left out. Parameters already in the URL are kept.
+export const buildRedirectUrl = (confirmation, answers, fields = []) => {
+  const url = new URL(confirmation.redirectUrl.trim());
+  if (confirmation.includeAnswersInRedirect) {
+    const fileFields = getFileFieldNames(fields);
+    answers
+      .filter(answer => !fileFields.has(answer.name))
+      .forEach(answer => {
+        const value = Array.isArray(answer.value) ? answer.value.join(',') : answer.value;
+        if (value !== '' && value !== null && value !== undefined) {
+          url.searchParams.set(answer.name, value);
+        }
+      });
+  }
+  return url.toString();
+};
@@ -0,0 +1,76 @@
+// Draft persistence for partially completed public forms. Drafts are keyed by
+// form ID in localStorage; File objects can't be serialized, so they are
+// dropped and their field names remembered so the respondent can be asked to
+// attach them again.
+
+const DRAFT_KEY_PREFIX = 'formDraft:';
+
+const isFileValue = (value) =>
+  typeof File !== 'undefined' && value instanceof File;
+
+export const serializeDraftValues = (values = {}) => {
+  const serialized = {};
+  const skippedFiles = [];
+
+  Object.entries(values).forEach(([name, value]) => {
+    if (isFileValue(value)) {
+      skippedFiles.push(name);
+      serialized[name] = null;
+    } else if (Array.isArray(value) && value.some(isFileValue)) {
+      skippedFiles.push(name);
+      serialized[name] = value.filter(item => !isFileValue(item));
+    } else {
+      serialized[name] = value === undefined ? null : value;
+    }
+  });
+
+  return { values: serialized, skippedFiles };
+};
+
+// Only restores values for fields that still exist, keeping each field's
+// empty value where the draft has nothing usable
+export const mergeDraftValues = (initialValues, draftValues = {}) => {
+  const merged = { ...initialValues };
+  Object.keys(initialValues).forEach(name => {
+    const value = draftValues[name];
+    if (value === null || value === undefined) return;
+    if (Array.isArray(initialValues[name]) && !Array.isArray(value)) return;
+    merged[name] = value;
+  });
+  return merged;
+};
+
+export const hasDraftAnswers = (values = {}) =>
+  Object.values(values).some(value =>
+    Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '' && value !== false
+  );
+
+export const saveLocalDraft = (formId, draft) => {
+  try {
+    localStorage.setItem(
+      `${DRAFT_KEY_PREFIX}${formId}`,
+      JSON.stringify({ ...draft, savedAt: new Date().toISOString() })
+    );
+    return true;
+  } catch (e) {
+    // Storage full or disabled (e.g. private browsing); autosave is best effort
+    return false;
+  }
+};
+
+export const loadLocalDraft = (formId) => {
+  try {
+    const stored = localStorage.getItem(`${DRAFT_KEY_PREFIX}${formId}`);
+    return stored ? JSON.parse(stored) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const clearLocalDraft = (formId) => {
+  try {
+    localStorage.removeItem(`${DRAFT_KEY_PREFIX}${formId}`);
+  } catch (e) {
+    // Nothing to clear
+  }
+};
@@ -0,0 +1,25 @@
+// Page breaks are stored inline in a form's field list as markers of this type.
+// Everything before the first marker is page one.
+export const PAGE_BREAK_TYPE = 'page_break';
+
+export const isPageBreak = (field) => field?.type === PAGE_BREAK_TYPE;
+
+// Number of fields a respondent actually fills in (page breaks excluded)
+export const countInputFields = (fields = []) =>
+  fields.filter(field => !isPageBreak(field)).length;
+
+// Splits a field list into pages: [{ title, fields }]. Empty pages (e.g. two
+// consecutive breaks) are dropped so the wizard never shows a blank step.
+export const splitIntoPages = (fields = []) => {
+  const pages = [{ title: null, fields: [] }];
+
+  fields.forEach(field => {
+    if (isPageBreak(field)) {
+      pages.push({ title: field.label || null, fields: [] });
+    } else {
+      pages[pages.length - 1].fields.push(field);
+    }
+  });
+
+  return pages.filter(page => page.fields.length > 0);
+};
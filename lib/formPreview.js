@@ -0,0 +1,31 @@
+// The builder's live preview renders the public form page in an iframe at
+// /forms/preview and sends it the in-progress definition over postMessage.
+
+import { isPageBreak } from './formPages';
+
+export const PREVIEW_READY = 'form-preview:ready';
+export const PREVIEW_UPDATE = 'form-preview:update';
+
+const isComplete = (field) =>
+  typeof field?.name === 'string' && field.name.trim() !== '' &&
+  typeof field?.label === 'string' && field.label.trim() !== '';
+
+// Drops fields the editor hasn't finished (no name or label yet), including
+// nested ones, so the renderer only sees fields it can draw
+export const buildPreviewDefinition = ({ title, description, fields = [] }) => ({
+  title: title || 'Untitled form',
+  description,
+  fields: fields
+    .filter(field => isPageBreak(field) || isComplete(field))
+    .map(field => {
+      if (!field.conditionalFields) return field;
+      const conditionalFields = Object.fromEntries(
+        Object.entries(field.conditionalFields).map(([option, nested]) => [
+          option,
+          Array.isArray(nested) ? nested.filter(isComplete) : []
+        ])
+      );
+      return { ...field, conditionalFields };
+    }),
+  isActive: true
+});
@@ -0,0 +1,141 @@
+// Availability of a form beyond the isActive switch: an optional opening
+// time (opensAt), closing time (closesAt) and response cap (maxResponses).
+// Times are stored as ISO strings; the API reports how many submissions a
+// form has as responseCount and rejects submissions outside the window.
+
+export const AVAILABILITY = {
+  inactive: 'inactive',
+  scheduled: 'scheduled',
+  open: 'open',
+  closed: 'closed',
+  full: 'full'
+};
+
+// Closing within this window is highlighted on the badges
+const CLOSING_SOON_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toLimit = (value) => {
+  const limit = Number(value);
+  return value !== null && value !== '' && Number.isInteger(limit) && limit > 0 ? limit : null;
+};
+
+export const getFormAvailability = (form, now = new Date()) => {
+  const opensAt = toDate(form?.opensAt);
+  const closesAt = toDate(form?.closesAt);
+  const maxResponses = toLimit(form?.maxResponses);
+  const responseCount = Number(form?.responseCount) || 0;
+  const remaining = maxResponses ? Math.max(maxResponses - responseCount, 0) : null;
+
+  let status = AVAILABILITY.open;
+  if (form && form.isActive === false) status = AVAILABILITY.inactive;
+  else if (opensAt && now < opensAt) status = AVAILABILITY.scheduled;
+  else if (closesAt && now >= closesAt) status = AVAILABILITY.closed;
+  else if (remaining === 0) status = AVAILABILITY.full;
+
+  return { status, opensAt, closesAt, maxResponses, responseCount, remaining };
+};
+
+export const isFormOpen = (form, now) => getFormAvailability(form, now).status === AVAILABILITY.open;
+
+// "2d 4h", "3h 12m", "8m"; rounds up so it never reads 0m before the time
+export const formatCountdown = (target, now = new Date()) => {
+  const totalMinutes = Math.max(Math.ceil((target - now) / 60000), 0);
+  const days = Math.floor(totalMinutes / (60 * 24));
+  const hours = Math.floor((totalMinutes % (60 * 24)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  return `${Math.max(minutes, 1)}m`;
+};
+
+export const formatScheduleDate = (date) =>
+  date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Badge for lists, or null when a form is simply open with no limits
+export const getScheduleBadge = (form, now = new Date()) => {
+  const { status, opensAt, closesAt, remaining } = getFormAvailability(form, now);
+
+  switch (status) {
+    case AVAILABILITY.scheduled:
+      return { label: `Opens in ${formatCountdown(opensAt, now)}`, className: 'bg-blue-100 text-blue-800', title: formatScheduleDate(opensAt) };
+    case AVAILABILITY.closed:
+      return { label: 'Closed', className: 'bg-gray-100 text-gray-800', title: formatScheduleDate(closesAt) };
+    case AVAILABILITY.full:
+      return { label: 'Limit reached', className: 'bg-red-100 text-red-800' };
+    case AVAILABILITY.open:
+      if (closesAt) {
+        return {
+          label: `Closes in ${formatCountdown(closesAt, now)}`,
+          className: closesAt - now < CLOSING_SOON_MS ? 'bg-amber-100 text-amber-800' : 'bg-green-100 text-green-800',
+          title: formatScheduleDate(closesAt)
+        };
+      }
+      if (remaining !== null) {
+        return { label: `${remaining} response${remaining !== 1 ? 's' : ''} left`, className: 'bg-green-100 text-green-800' };
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+// Message for respondents when the form can't be filled in
+export const getUnavailableMessage = (availability) => {
+  switch (availability.status) {
+    case AVAILABILITY.scheduled:
+      return {
+        title: 'This form is not open yet',
+        message: `It opens on ${formatScheduleDate(availability.opensAt)}.`
+      };
+    case AVAILABILITY.closed:
+      return {
+        title: 'This form is closed',
+        message: `It stopped accepting responses on ${formatScheduleDate(availability.closesAt)}.`
+      };
+    case AVAILABILITY.full:
+      return {
+        title: 'This form has reached its limit',
+        message: 'It is no longer accepting responses.'
+      };
+    default:
+      return null;
+  }
+};
+
+// <input type="datetime-local"> works in local time without a zone
+export const toDateTimeInputValue = (value) => {
+  const date = toDate(value);
+  if (!date) return '';
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+export const fromDateTimeInputValue = (value) => {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+};
+
+export const getSchedule = (form) => ({
+  opensAt: form?.opensAt || null,
+  closesAt: form?.closesAt || null,
+  maxResponses: toLimit(form?.maxResponses)
+});
+
+// Editor-side checks; returns an error message or ''
+export const validateSchedule = ({ opensAt, closesAt, maxResponses }) => {
+  const opens = toDate(opensAt);
+  const closes = toDate(closesAt);
+  if (opens && closes && closes <= opens) {
+    return 'The closing time must be after the opening time.';
+  }
+  if (maxResponses !== null && maxResponses !== undefined && maxResponses !== '' && !toLimit(maxResponses)) {
+    return 'Maximum responses must be a whole number greater than 0.';
+  }
+  return '';
+};
@@ -0,0 +1,363 @@
+// Pure helpers behind FormRenderer: which fields are shown for a set of
+// answers, the Yup schema that validates them, empty starting values and the
+// answers payload sent to the API. Nothing here touches React or the DOM, so
+// the public form, the builder preview and embeds all validate identically.
+
+import * as Yup from 'yup';
+import { validateYupSchema, yupToFormErrors } from 'formik';
+import { isPageBreak } from './formPages';
+import { getHiddenFieldNames } from './conditionalLogic';
+import { isMultiValueField } from './fieldTypes';
+import { getFileRules, getFileListError, toFileList, allowsMultipleFiles } from './fileRules';
+
+// Helper function to get all visible fields including conditional ones.
+// Show/hide rules are evaluated against the whole form (formFields) so a
+// subset such as one wizard page still respects rules on other pages.
+export const getAllFields = (fields, selectedValues = {}, formFields = fields) => {
+  const hiddenFields = getHiddenFieldNames(formFields, selectedValues);
+  const allFields = fields.filter(
+    (field) => !isPageBreak(field) && !hiddenFields.has(field.name)
+  );
+
+  fields.forEach((field) => {
+    // A hidden parent's stale selection must not reveal its nested fields
+    if (hiddenFields.has(field.name)) return;
+    if (
+      (field.type === 'radio' || field.type === 'select') &&
+      field.conditionalFields
+    ) {
+      const selectedValue = selectedValues[field.name];
+      if (selectedValue && field.conditionalFields[selectedValue]) {
+        const conditionalFields = Array.isArray(
+          field.conditionalFields[selectedValue]
+        )
+          ? field.conditionalFields[selectedValue]
+          : [];
+        conditionalFields.forEach((nestedField) => {
+          // Create a copy to avoid mutating the original
+          const nestedFieldCopy = { ...nestedField };
+          // Ensure unique name by prefixing with parent field name
+          nestedFieldCopy.name = `${field.name}_${nestedField.name}`;
+          allFields.push(nestedFieldCopy);
+        });
+      }
+    }
+  });
+
+  return allFields;
+};
+
+// Helper function to apply a field's regex pattern (and custom message) to a string schema
+const applyPatternValidation = (fieldSchema, field) => {
+  if (!field.validation?.regex) {
+    return fieldSchema;
+  }
+  try {
+    const regex = new RegExp(field.validation.regex);
+    return fieldSchema.matches(regex, {
+      message:
+        field.validation.regexMessage || `${field.label} format is invalid`,
+      // Leave empty answers to the required check
+      excludeEmptyString: true,
+    });
+  } catch (e) {
+    console.error('Invalid regex pattern:', field.validation.regex);
+    return fieldSchema;
+  }
+};
+
+// Helper function to generate Yup validation schema from form fields
+export const generateValidationSchema = (
+  fields,
+  selectedValues = {},
+  formFields = fields
+) => {
+  const schema = {};
+  const allFields = getAllFields(fields, selectedValues, formFields);
+
+  allFields.forEach((field) => {
+    let fieldSchema;
+
+    switch (field.type) {
+      case 'email':
+        fieldSchema = Yup.string().email(
+          `${field.label} must be a valid email address`
+        );
+        if (field.validation?.minLength) {
+          fieldSchema = fieldSchema.min(
+            field.validation.minLength,
+            `${field.label} must be at least ${field.validation.minLength} characters`
+          );
+        }
+        if (field.validation?.maxLength) {
+          fieldSchema = fieldSchema.max(
+            field.validation.maxLength,
+            `${field.label} must be at most ${field.validation.maxLength} characters`
+          );
+        }
+        fieldSchema = applyPatternValidation(fieldSchema, field);
+        break;
+
+      case 'number':
+        fieldSchema = Yup.number()
+          .transform((value, originalValue) => {
+            // Convert empty string to undefined
+            if (originalValue === '' || originalValue === null) {
+              return undefined;
+            }
+            const num = Number(originalValue);
+            return isNaN(num) ? originalValue : num;
+          })
+          .typeError(`${field.label} must be a valid number`)
+          .nullable();
+        if (field.validation?.min !== undefined) {
+          fieldSchema = fieldSchema.min(
+            field.validation.min,
+            `${field.label} must be at least ${field.validation.min}`
+          );
+        }
+        if (field.validation?.max !== undefined) {
+          fieldSchema = fieldSchema.max(
+            field.validation.max,
+            `${field.label} must be at most ${field.validation.max}`
+          );
+        }
+        break;
+
+      case 'text':
+      case 'textarea':
+        fieldSchema = Yup.string();
+        if (field.validation?.minLength) {
+          fieldSchema = fieldSchema.min(
+            field.validation.minLength,
+            `${field.label} must be at least ${field.validation.minLength} characters`
+          );
+        }
+        if (field.validation?.maxLength) {
+          fieldSchema = fieldSchema.max(
+            field.validation.maxLength,
+            `${field.label} must be at most ${field.validation.maxLength} characters`
+          );
+        }
+        fieldSchema = applyPatternValidation(fieldSchema, field);
+        break;
+
+      case 'date':
+        fieldSchema = Yup.date()
+          .transform((value, originalValue) =>
+            String(originalValue).trim() === '' ? undefined : value
+          )
+          .typeError(`${field.label} must be a valid date`)
+          .nullable();
+        if (field.required) {
+          fieldSchema = fieldSchema
+            .required(`${field.label} is required`)
+            .nullable(false);
+        }
+        break;
+
+      case 'select':
+      case 'radio':
+        fieldSchema = Yup.string();
+        if (field.options && field.options.length > 0) {
+          fieldSchema = fieldSchema.oneOf(
+            field.options,
+            `${field.label} must be one of the provided options`
+          );
+        }
+        break;
+
+      case 'checkbox':
+        fieldSchema = Yup.boolean();
+        break;
+
+      case 'checkbox_group':
+      case 'multiselect': {
+        fieldSchema = Yup.array().of(Yup.string());
+        if (field.options && field.options.length > 0) {
+          fieldSchema = Yup.array().of(
+            Yup.string().oneOf(
+              field.options,
+              `${field.label} must only contain the provided options`
+            )
+          );
+        }
+        if (field.required) {
+          fieldSchema = fieldSchema.min(1, `${field.label} is required`);
+        }
+        const minSelections = field.validation?.minSelections;
+        if (minSelections > 1) {
+          // Optional groups may be left empty, but a partial answer must meet the minimum
+          fieldSchema = fieldSchema.test(
+            'min-selections',
+            `Select at least ${minSelections} options for ${field.label}`,
+            (value) => !value || value.length === 0 || value.length >= minSelections
+          );
+        }
+        if (field.validation?.maxSelections) {
+          fieldSchema = fieldSchema.max(
+            field.validation.maxSelections,
+            `Select at most ${field.validation.maxSelections} options for ${field.label}`
+          );
+        }
+        // An untouched optional group is an empty selection, not an error
+        fieldSchema = fieldSchema.transform((value) => value ?? []);
+        break;
+      }
+
+      case 'file': {
+        // Type, size and count rules come from the field (see lib/fileRules);
+        // required only raises the minimum to one file
+        const rules = getFileRules(field);
+        fieldSchema = Yup.mixed().nullable().test('file-rules', '', function (value) {
+          // A file name string stands for a file uploaded earlier
+          if (typeof value === 'string' && value.trim() !== '') {
+            return true;
+          }
+          const error = getFileListError(toFileList(value), rules, field.label);
+          return error ? this.createError({ message: error }) : true;
+        });
+        break;
+      }
+
+      default:
+        fieldSchema = Yup.string();
+    }
+
+    // Add required validation (skip for file and multi-value fields as they're
+    // handled in the cases above)
+    if (field.required && field.type !== 'file' && !isMultiValueField(field)) {
+      if (field.type === 'checkbox') {
+        fieldSchema = fieldSchema.oneOf([true], `${field.label} is required`);
+      } else if (field.type === 'number') {
+        fieldSchema = fieldSchema
+          .required(`${field.label} is required`)
+          .nullable(false);
+      } else if (field.type === 'date') {
+        fieldSchema = fieldSchema
+          .required(`${field.label} is required`)
+          .nullable(false);
+      } else {
+        fieldSchema = fieldSchema.required(`${field.label} is required`);
+      }
+    } else if (!field.required) {
+      // Allow empty values for optional fields
+      if (field.type === 'number' || field.type === 'date') {
+        fieldSchema = fieldSchema.nullable().notRequired();
+      } else if (
+        field.type !== 'checkbox' &&
+        field.type !== 'file' &&
+        !isMultiValueField(field)
+      ) {
+        fieldSchema = fieldSchema.nullable().notRequired();
+      }
+    }
+
+    schema[field.name] = fieldSchema;
+  });
+
+  return Yup.object().shape(schema);
+};
+
+// Helper function to get the empty value for a field type
+export const getEmptyValue = (field) => {
+  if (field.type === 'checkbox') {
+    return false;
+  } else if (isMultiValueField(field)) {
+    return [];
+  } else if (field.type === 'number') {
+    return undefined;
+  } else if (field.type === 'file') {
+    return allowsMultipleFiles(field) ? [] : null;
+  }
+  return '';
+};
+
+// Helper function to get initial values (including every conditional field, so
+// nested inputs stay controlled whichever option gets picked)
+export const getInitialValues = (fields) => {
+  const initialValues = {};
+
+  fields.forEach((field) => {
+    if (isPageBreak(field)) {
+      return;
+    }
+    initialValues[field.name] = getEmptyValue(field);
+    if (
+      (field.type === 'radio' || field.type === 'select') &&
+      field.conditionalFields
+    ) {
+      Object.values(field.conditionalFields).forEach((nestedFields) => {
+        if (!Array.isArray(nestedFields)) return;
+        nestedFields.forEach((nestedField) => {
+          initialValues[`${field.name}_${nestedField.name}`] =
+            getEmptyValue(nestedField);
+        });
+      });
+    }
+  });
+  return initialValues;
+};
+
+// Helper function to validate values against the given fields. The schema is
+// rebuilt from the live values so only the fields currently shown are validated.
+export const validateAgainstFields = async (fields, values, formFields = fields) => {
+  try {
+    await validateYupSchema(
+      values,
+      generateValidationSchema(fields, values, formFields)
+    );
+    return {};
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return yupToFormErrors(err);
+    }
+    throw err;
+  }
+};
+
+// Converts Formik values into the answers array the API stores, one entry per
+// field currently shown. Files are returned separately for a multipart upload
+// (one entry per file, so a multi-file field repeats its name); their answer
+// carries the file names so the backend knows the field exists.
+export const buildAnswers = (formFields, values) => {
+  const allFields = getAllFields(formFields, values);
+  const answers = [];
+  const files = [];
+
+  allFields.forEach((field) => {
+    const name = field.name;
+    const value = values[name];
+
+    if (field.type === 'file') {
+      const multiple = allowsMultipleFiles(field);
+      const selected = toFileList(value);
+      selected.forEach((file) => files.push({ name, file }));
+      if (selected.length > 0) {
+        // Multi-file fields list every name; single-file fields keep a plain string
+        answers.push({ name, value: multiple ? selected.map((file) => file.name) : selected[0].name });
+      } else if (field.required) {
+        // Required file field but no file selected - validation will catch this
+        answers.push({ name, value: multiple ? [] : '' });
+      }
+      // Optional file fields with no file don't need to be in answers
+    } else if (isMultiValueField(field)) {
+      // Multi-value fields are stored as arrays of the selected options
+      answers.push({ name, value: Array.isArray(value) ? value : [] });
+    } else {
+      let stringValue = '';
+      if (value === null || value === undefined) {
+        stringValue = '';
+      } else if (typeof value === 'boolean') {
+        stringValue = value ? 'true' : 'false';
+      } else if (value instanceof Date) {
+        stringValue = value.toISOString().split('T')[0];
+      } else {
+        stringValue = String(value);
+      }
+      answers.push({ name, value: stringValue });
+    }
+  });
+
+  return { answers, files, hasFileFields: allFields.some((f) => f.type === 'file') };
+};
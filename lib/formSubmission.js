@@ -0,0 +1,63 @@
+// Sends a filled-in form to the API. Shared by the public form page and the
+// embed so both upload files and report server errors the same way.
+
+import axios from 'axios';
+import { submissionsAPI } from './api';
+import { buildAnswers } from './formSchema';
+
+// Uses multipart when the form has file fields, JSON otherwise. onProgress
+// receives the uploaded fraction (0-1) of a multipart request; signal is an
+// AbortSignal that cancels the request.
+export const submitForm = (form, values, { onProgress, signal } = {}) => {
+  const { answers, files, hasFileFields } = buildAnswers(form.fields, values);
+
+  if (!hasFileFields) {
+    return submissionsAPI.submit({ formId: form._id, formVersion: form.version, answers }, { signal });
+  }
+
+  const formData = new FormData();
+  files.forEach(({ name, file }) => formData.append(name, file));
+  formData.append('formId', form._id);
+  if (form.version !== undefined && form.version !== null) {
+    formData.append('formVersion', form.version);
+  }
+  formData.append('answers', JSON.stringify(answers));
+
+  return submissionsAPI.submit(formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    signal,
+    onUploadProgress: (event) => {
+      if (onProgress && event.total) onProgress(event.loaded / event.total);
+    }
+  });
+};
+
+export const isSubmitCanceled = (error) => axios.isCancel(error);
+
+// Network failures and server errors are worth retrying as-is; anything the
+// server rejected (4xx) needs the respondent to change something first
+export const isRetryableSubmitError = (error) =>
+  !error.response || error.response.status >= 500;
+
+// Matches validation errors from the API to the fields they mention, as
+// { [fieldName]: message }. Returns null when the error isn't a field error.
+export const getServerFieldErrors = (form, error) => {
+  const errors = error.response?.data?.errors;
+  if (!errors) return null;
+
+  const fieldErrors = {};
+  if (Array.isArray(errors)) {
+    errors.forEach((err) => {
+      const errorStr = typeof err === 'string' ? err : err.msg || err.message || '';
+      const matchingField = form.fields.find(
+        (f) =>
+          errorStr.toLowerCase().includes(f.label.toLowerCase()) ||
+          errorStr.toLowerCase().includes(f.name.toLowerCase())
+      );
+      if (matchingField) {
+        fieldErrors[matchingField.name] = errorStr;
+      }
+    });
+  }
+  return fieldErrors;
+};
@@ -0,0 +1,389 @@
+// JSON export/import of form definitions so a form can be moved between
+// instances. Exports are wrapped in a small envelope:
+//
+//   { format: 'dynamic-form', exportVersion: 1, exportedAt, form: { title, fields, ... } }
+//
+// Imports accept either that envelope or a bare form object.
+
+import {
+  FIELD_TYPES,
+  NESTED_FIELD_TYPES,
+  CONDITIONAL_PARENT_TYPES,
+  needsOptions
+} from './fieldTypes';
+import { CONDITION_OPERATORS, validateVisibilityRules } from './conditionalLogic';
+import { PAGE_BREAK_TYPE } from './formPages';
+
+export const EXPORT_FORMAT = 'dynamic-form';
+export const EXPORT_VERSION = 1;
+
+// Managed by the server for each instance, so never exported or imported
+const SERVER_KEYS = ['_id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'isActive', 'isDeleted', 'deletedAt', 'version', 'responseCount'];
+const EDITOR_FIELD_KEYS = ['_id', '_dragId'];
+const NUMERIC_VALIDATION_KEYS = ['minLength', 'maxLength', 'min', 'max', 'minSelections', 'maxSelections', 'maxFileSize', 'minFiles', 'maxFiles'];
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const omitKeys = (object, keys) =>
+  Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+
+const cleanField = (field) => {
+  const cleaned = omitKeys(field, EDITOR_FIELD_KEYS);
+  if (isPlainObject(field.conditionalFields)) {
+    cleaned.conditionalFields = Object.fromEntries(
+      Object.entries(field.conditionalFields).map(([option, nested]) => [
+        option,
+        Array.isArray(nested) ? nested.map(cleanField) : nested
+      ])
+    );
+  }
+  return cleaned;
+};
+
+export const exportFormDefinition = (form) => ({
+  format: EXPORT_FORMAT,
+  exportVersion: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  form: {
+    ...omitKeys(form, SERVER_KEYS),
+    fields: (form.fields || []).map(cleanField)
+  }
+});
+
+const generateFieldName = (label) => {
+  if (!label) return '';
+  let name = String(label).toLowerCase()
+    .replace(/[^a-z0-9_]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (name && !/^[a-z]/.test(name)) {
+    name = 'field_' + name;
+  }
+  return name || 'field';
+};
+
+const uniqueName = (name, usedNames) => {
+  let candidate = name;
+  let suffix = 2;
+  while (usedNames.has(candidate)) {
+    candidate = `${name}_${suffix}`;
+    suffix += 1;
+  }
+  return candidate;
+};
+
+export const uniqueTitle = (title, existingTitles = []) => {
+  const taken = new Set(existingTitles.map(t => String(t).trim().toLowerCase()));
+  if (!taken.has(title.trim().toLowerCase())) return title;
+  let candidate = `${title} (imported)`;
+  let suffix = 2;
+  while (taken.has(candidate.toLowerCase())) {
+    candidate = `${title} (imported ${suffix})`;
+    suffix += 1;
+  }
+  return candidate;
+};
+
+const checkValidation = (validation, errors) => {
+  if (validation === undefined || validation === null) return {};
+  if (!isPlainObject(validation)) {
+    errors.push('Validation must be an object.');
+    return {};
+  }
+
+  const normalized = { ...validation };
+  NUMERIC_VALIDATION_KEYS.forEach(key => {
+    const value = normalized[key];
+    if (value === undefined || value === null || value === '') {
+      delete normalized[key];
+      return;
+    }
+    const number = Number(value);
+    if (isNaN(number)) {
+      errors.push(`Validation "${key}" must be a number.`);
+    } else {
+      normalized[key] = number;
+    }
+  });
+
+  [['minLength', 'maxLength'], ['min', 'max'], ['minSelections', 'maxSelections'], ['minFiles', 'maxFiles']].forEach(([lower, upper]) => {
+    if (typeof normalized[lower] === 'number' && typeof normalized[upper] === 'number' && normalized[lower] > normalized[upper]) {
+      errors.push(`Validation "${lower}" is greater than "${upper}".`);
+    }
+  });
+
+  if (normalized.regex) {
+    try {
+      new RegExp(normalized.regex);
+    } catch (e) {
+      errors.push(`Validation pattern is not a valid regular expression: ${e.message}`);
+    }
+  }
+
+  return normalized;
+};
+
+const checkNameAndLabel = (field, errors, warnings) => {
+  const label = typeof field.label === 'string' ? field.label.trim() : '';
+  let name = typeof field.name === 'string' ? field.name.trim() : '';
+
+  if (!label) errors.push('Label is required.');
+  if (!name && label) {
+    name = generateFieldName(label);
+    warnings.push(`Missing name; generated "${name}" from the label.`);
+  } else if (!name) {
+    errors.push('Name is required.');
+  } else if (!FIELD_NAME_PATTERN.test(name)) {
+    errors.push(`Name "${name}" must start with a lowercase letter and use only lowercase letters, numbers and underscores.`);
+  }
+
+  return { label, name };
+};
+
+// Problems with nested fields are reported on their parent field
+const checkNestedField = (nested, option, usedNames, parentErrors, parentWarnings) => {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(nested)) {
+    parentErrors.push(`Nested field under "${option}" is not an object.`);
+    return null;
+  }
+
+  const { label, name } = checkNameAndLabel(nested, errors, warnings);
+  const type = nested.type || 'text';
+  if (!NESTED_FIELD_TYPES.includes(type)) {
+    errors.push(`Type "${type}" can't be used for nested fields.`);
+  }
+  const validation = checkValidation(nested.validation, errors);
+
+  let finalName = name;
+  if (name && usedNames.has(name)) {
+    finalName = uniqueName(name, usedNames);
+    warnings.push(`Renamed from "${name}" to "${finalName}" because the name was already used.`);
+  }
+  if (finalName) usedNames.add(finalName);
+
+  const prefix = `Nested field "${label || name || '?'}" under "${option}"`;
+  errors.forEach(message => parentErrors.push(`${prefix}: ${message}`));
+  warnings.forEach(message => parentWarnings.push(`${prefix}: ${message}`));
+
+  return { ...omitKeys(nested, EDITOR_FIELD_KEYS), label, name: finalName, type, required: !!nested.required, validation };
+};
+
+// Validates an imported definition and resolves field name collisions.
+// Returns { form, formErrors, fieldProblems, canImport } where fieldProblems
+// has one entry per field with any errors or warnings.
+export const validateFormImport = (data, existingTitles = []) => {
+  const formErrors = [];
+  const fieldProblems = [];
+
+  if (!isPlainObject(data)) {
+    return { form: null, formErrors: ['The file does not contain a form definition.'], fieldProblems, canImport: false };
+  }
+  if (data.format && data.format !== EXPORT_FORMAT) {
+    formErrors.push(`Unsupported format "${data.format}".`);
+  }
+  if (data.exportVersion && data.exportVersion > EXPORT_VERSION) {
+    formErrors.push(`This file was exported by a newer version (format ${data.exportVersion}).`);
+  }
+
+  const source = isPlainObject(data.form) ? data.form : data;
+  const title = typeof source.title === 'string' ? source.title.trim() : '';
+  if (!title) formErrors.push('Form title is missing.');
+  if (!Array.isArray(source.fields)) {
+    formErrors.push('Form has no fields list.');
+    return { form: null, formErrors, fieldProblems, canImport: false };
+  }
+
+  // Conditional answers are stored as `${parent}_${nested}`, so those names share one namespace
+  const usedNames = new Set();
+  const topLevelNames = new Set(source.fields.map(f => (isPlainObject(f) && typeof f.name === 'string' ? f.name.trim() : '')).filter(Boolean));
+
+  const fields = source.fields.map((raw, index) => {
+    const errors = [];
+    const warnings = [];
+
+    if (!isPlainObject(raw)) {
+      fieldProblems.push({ index, name: '', label: `Field ${index + 1}`, errors: ['Field is not an object.'], warnings });
+      return null;
+    }
+
+    let type = raw.type;
+    if (!type) {
+      type = 'text';
+      warnings.push('Missing type; imported as a text field.');
+    } else if (!FIELD_TYPES.includes(type)) {
+      errors.push(`Unknown field type "${type}".`);
+    }
+
+    const isBreak = type === PAGE_BREAK_TYPE;
+    const { label, name } = isBreak
+      ? { label: raw.label || 'Page', name: raw.name || `page_break_${index}` }
+      : checkNameAndLabel(raw, errors, warnings);
+
+    let finalName = name;
+    if (name && usedNames.has(name)) {
+      finalName = uniqueName(name, new Set([...usedNames, ...topLevelNames]));
+      warnings.push(`Renamed from "${name}" to "${finalName}" because another field already uses that name.`);
+    }
+    if (finalName) usedNames.add(finalName);
+
+    let options = [];
+    if (needsOptions(type)) {
+      if (!Array.isArray(raw.options) || raw.options.length === 0) {
+        errors.push('Choice fields need at least one option.');
+      } else if (raw.options.some(option => typeof option !== 'string' || !option.trim())) {
+        errors.push('Options must be non-empty text.');
+      } else {
+        options = raw.options.map(option => option.trim());
+        const duplicates = options.filter((option, i) => options.indexOf(option) !== i);
+        if (duplicates.length > 0) {
+          errors.push(`Duplicate options: ${[...new Set(duplicates)].join(', ')}.`);
+        }
+      }
+    } else if (Array.isArray(raw.options) && raw.options.length > 0) {
+      warnings.push(`Options are ignored for ${type} fields.`);
+    }
+
+    const validation = checkValidation(raw.validation, errors);
+
+    let conditionalFields;
+    if (raw.conditionalFields !== undefined && raw.conditionalFields !== null) {
+      if (!CONDITIONAL_PARENT_TYPES.includes(type)) {
+        warnings.push(`Conditional fields are only supported on select and radio fields and were dropped.`);
+      } else if (!isPlainObject(raw.conditionalFields)) {
+        errors.push('Conditional fields must map each option to a list of fields.');
+      } else {
+        conditionalFields = {};
+        Object.entries(raw.conditionalFields).forEach(([option, nestedFields]) => {
+          if (!options.includes(option)) {
+            if (Array.isArray(nestedFields) && nestedFields.length > 0) {
+              warnings.push(`Conditional fields for "${option}" were dropped because it is not one of the options.`);
+            }
+            return;
+          }
+          if (!Array.isArray(nestedFields)) {
+            errors.push(`Conditional fields for "${option}" must be a list.`);
+            return;
+          }
+          const nestedNames = new Set();
+          const checked = nestedFields
+            .map(nested => checkNestedField(nested, option, nestedNames, errors, warnings))
+            .filter(Boolean);
+
+          conditionalFields[option] = checked.map((field, order) => {
+            const answerName = `${finalName}_${field.name}`;
+            if (topLevelNames.has(answerName) || usedNames.has(answerName)) {
+              const renamed = uniqueName(answerName, new Set([...usedNames, ...topLevelNames])).slice(finalName.length + 1);
+              warnings.push(`Nested field "${field.name}" under "${option}" renamed to "${renamed}" so its answers don't clash with the "${answerName}" field.`);
+              field = { ...field, name: renamed };
+            }
+            usedNames.add(`${finalName}_${field.name}`);
+            return { ...field, order };
+          });
+        });
+      }
+    }
+
+    let visibility;
+    if (raw.visibility !== undefined && raw.visibility !== null) {
+      const conditions = raw.visibility.conditions;
+      if (!isPlainObject(raw.visibility) || !Array.isArray(conditions)) {
+        errors.push('Show/hide rule must have a list of conditions.');
+      } else {
+        conditions.forEach(condition => {
+          if (!topLevelNames.has(condition?.field) || condition.field === name) {
+            errors.push(`Show/hide rule refers to unknown field "${condition?.field}".`);
+          }
+          if (!CONDITION_OPERATORS[condition?.operator]) {
+            errors.push(`Show/hide rule uses unknown operator "${condition?.operator}".`);
+          }
+        });
+        visibility = raw.visibility;
+      }
+    }
+
+    if (errors.length > 0 || warnings.length > 0) {
+      fieldProblems.push({ index, name: finalName, label: label || `Field ${index + 1}`, errors, warnings });
+    }
+
+    const field = {
+      ...omitKeys(raw, [...EDITOR_FIELD_KEYS, 'conditionalFields', 'visibility']),
+      label,
+      name: finalName,
+      type,
+      required: !!raw.required,
+      options,
+      validation,
+      order: index
+    };
+    if (conditionalFields) field.conditionalFields = conditionalFields;
+    if (visibility) field.visibility = visibility;
+    return field;
+  });
+
+  const inputCount = fields.filter(f => f && f.type !== PAGE_BREAK_TYPE).length;
+  if (inputCount === 0) formErrors.push('Form has no input fields.');
+  const visibilityError = validateVisibilityRules(fields.filter(Boolean));
+  if (visibilityError) formErrors.push(visibilityError);
+
+  const hasFieldErrors = fieldProblems.some(problem => problem.errors.length > 0);
+  const form = {
+    ...omitKeys(source, SERVER_KEYS),
+    title: title ? uniqueTitle(title, existingTitles) : '',
+    description: typeof source.description === 'string' ? source.description : '',
+    fields: fields.filter(Boolean)
+  };
+
+  return {
+    form,
+    titleChanged: !!title && form.title !== title,
+    formErrors,
+    fieldProblems,
+    canImport: formErrors.length === 0 && !hasFieldErrors
+  };
+};
+
+export const parseFormImport = (text, existingTitles = []) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { form: null, formErrors: [`The file is not valid JSON: ${e.message}`], fieldProblems: [], canImport: false };
+  }
+  return validateFormImport(data, existingTitles);
+};
+
+// Deep copy of a form ready for formsAPI.create. Copies start inactive so
+// they can be edited before going live.
+export const cloneFormDefinition = (form) => {
+  const { form: definition } = exportFormDefinition(JSON.parse(JSON.stringify(form)));
+  return {
+    ...definition,
+    title: `${form.title} (copy)`,
+    isActive: false
+  };
+};
+
+// Prepares a field from another form for adding to `targetFields`: gives it a
+// free name and drops a show/hide rule that points at fields the target
+// form doesn't have.
+export const copyFieldInto = (field, targetFields = []) => {
+  const copy = cleanField(JSON.parse(JSON.stringify(field)));
+  const notes = [];
+
+  const takenNames = new Set(targetFields.map(f => f.name).filter(Boolean));
+  const name = uniqueName(copy.name, takenNames);
+  if (name !== copy.name) {
+    notes.push(`Renamed to "${name}" because this form already has a "${copy.name}" field.`);
+    copy.name = name;
+  }
+
+  if (copy.visibility?.conditions?.some(condition => !takenNames.has(condition.field))) {
+    delete copy.visibility;
+    notes.push('Its show/hide rule refers to fields this form does not have and was removed.');
+  }
+
+  return { field: copy, notes };
+};
@@ -0,0 +1,131 @@
+// Helpers for comparing saved versions of a form definition. Each save on the
+// server stores a numbered snapshot ({ version, title, description, fields,
+// createdAt }); these functions work on any two such snapshots.
+
+// Properties that only exist for the editor or the database and never count as a change
+const IGNORED_FIELD_KEYS = ['_id', '_dragId', 'order'];
+
+const FIELD_PROPERTY_LABELS = {
+  label: 'Label',
+  type: 'Type',
+  required: 'Required',
+  options: 'Options',
+  validation: 'Validation',
+  conditionalFields: 'Conditional fields',
+  visibility: 'Show/hide rule',
+  position: 'Position'
+};
+
+const SETTING_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  opensAt: 'Opens at',
+  closesAt: 'Closes at',
+  maxResponses: 'Maximum responses',
+  confirmation: 'Thank-you screen'
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+// JSON with sorted keys so objects that only differ in key order compare equal
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => !IGNORED_FIELD_KEYS.includes(key) && !isEmpty(value[key]))
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const isSameValue = (a, b) =>
+  (isEmpty(a) && isEmpty(b)) || stableStringify(a) === stableStringify(b);
+
+export const formatVersionValue = (value) => {
+  if (isEmpty(value)) return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value) && value.every(item => typeof item !== 'object')) return value.join(', ');
+  if (typeof value === 'object') return stableStringify(value);
+  return String(value);
+};
+
+const sortByOrder = (fields = []) =>
+  [...fields].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+// Compares two versions field by field, matching fields by name. Returns
+// { settings, fields } where each field entry has a status of 'added',
+// 'removed', 'changed' or 'unchanged' plus the list of property changes.
+export const diffFormVersions = (before = {}, after = {}) => {
+  const settings = Object.keys(SETTING_LABELS)
+    .filter(key => !isSameValue(before[key], after[key]))
+    .map(key => ({ property: key, label: SETTING_LABELS[key], before: before[key], after: after[key] }));
+
+  const beforeFields = sortByOrder(before.fields);
+  const afterFields = sortByOrder(after.fields);
+  const beforeByName = new Map(beforeFields.map((field, index) => [field.name, { field, index }]));
+  const afterNames = new Set(afterFields.map(field => field.name));
+
+  // A field only counts as moved when its order relative to the fields kept in
+  // both versions changed, so adding one field doesn't mark all below it as moved
+  const keptBefore = beforeFields.filter(field => afterNames.has(field.name)).map(field => field.name);
+  const keptAfter = afterFields.filter(field => beforeByName.has(field.name)).map(field => field.name);
+
+  const fields = afterFields.map((field, index) => {
+    const previous = beforeByName.get(field.name);
+    if (!previous) {
+      return { name: field.name, label: field.label, type: field.type, status: 'added', changes: [] };
+    }
+
+    const changes = Object.keys(FIELD_PROPERTY_LABELS)
+      .filter(key => key !== 'position' && !isSameValue(previous.field[key], field[key]))
+      .map(key => ({
+        property: key,
+        label: FIELD_PROPERTY_LABELS[key],
+        before: previous.field[key],
+        after: field[key]
+      }));
+
+    if (keptBefore.indexOf(field.name) !== keptAfter.indexOf(field.name)) {
+      changes.push({ property: 'position', label: FIELD_PROPERTY_LABELS.position, before: previous.index + 1, after: index + 1 });
+    }
+
+    return {
+      name: field.name,
+      label: field.label,
+      type: field.type,
+      status: changes.length > 0 ? 'changed' : 'unchanged',
+      changes
+    };
+  });
+
+  beforeFields.forEach(field => {
+    if (!afterNames.has(field.name)) {
+      fields.push({ name: field.name, label: field.label, type: field.type, status: 'removed', changes: [] });
+    }
+  });
+
+  return { settings, fields };
+};
+
+// Maps answer names to labels for a form definition, including conditional
+// fields which are answered as `${parent}_${nested}`
+export const getFieldLabels = (fields = []) => {
+  const labels = {};
+  fields.forEach(field => {
+    if (!field.name) return;
+    labels[field.name] = field.label || field.name;
+    Object.values(field.conditionalFields || {}).forEach(nestedFields => {
+      (Array.isArray(nestedFields) ? nestedFields : []).forEach(nested => {
+        labels[`${field.name}_${nested.name}`] = nested.label || nested.name;
+      });
+    });
+  });
+  return labels;
+};
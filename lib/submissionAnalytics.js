@@ -0,0 +1,149 @@
+// Aggregates a form's submissions for the analytics page. Everything is
+// computed client-side from the submissions list, so the numbers always match
+// what the submissions page shows for the same filters.
+
+import { isPageBreak } from './formPages';
+import { OPTION_FIELD_TYPES, isMultiValueField } from './fieldTypes';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getAnswerValue = (submission, name) =>
+  (submission.answers || []).find(answer => answer.name === name)?.value;
+
+const isAnswered = (value) =>
+  value !== undefined &&
+  value !== null &&
+  !(typeof value === 'string' && value.trim() === '') &&
+  !(Array.isArray(value) && value.length === 0);
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Buckets are days for short ranges, weeks (starting Monday) up to about six
+// months, and calendar months beyond that
+const getBucketUnit = (from, to) => {
+  const days = (to - from) / DAY_MS;
+  if (days <= 62) return 'day';
+  if (days <= 190) return 'week';
+  return 'month';
+};
+
+const bucketStart = (date, unit) => {
+  const day = startOfDay(date);
+  if (unit === 'week') {
+    const offset = (day.getDay() + 6) % 7;
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate() - offset);
+  }
+  if (unit === 'month') return new Date(day.getFullYear(), day.getMonth(), 1);
+  return day;
+};
+
+const nextBucket = (date, unit) => {
+  if (unit === 'week') return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7);
+  if (unit === 'month') return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+};
+
+const bucketLabel = (date, unit) =>
+  unit === 'month'
+    ? date.toLocaleDateString([], { month: 'short', year: 'numeric' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+// Counts submissions per day/week/month across the date range, filling the
+// gaps with zero so the chart shows quiet periods too
+export const getSubmissionsOverTime = (submissions = [], { dateFrom, dateTo } = {}) => {
+  const dates = submissions.map(s => new Date(s.submittedAt)).filter(d => !isNaN(d));
+  if (dates.length === 0 && !dateFrom && !dateTo) return { unit: 'day', buckets: [] };
+
+  const to = dateTo ? new Date(`${dateTo}T00:00:00`) : new Date(dates.length > 0 ? Math.max(...dates) : Date.now());
+  const from = dateFrom ? new Date(`${dateFrom}T00:00:00`) : new Date(dates.length > 0 ? Math.min(...dates) : to);
+  const unit = getBucketUnit(from, to);
+
+  const counts = new Map();
+  dates.forEach(date => {
+    const key = bucketStart(date, unit).getTime();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const buckets = [];
+  for (let cursor = bucketStart(from, unit); cursor <= to; cursor = nextBucket(cursor, unit)) {
+    buckets.push({ date: cursor, label: bucketLabel(cursor, unit), count: counts.get(cursor.getTime()) || 0 });
+  }
+
+  return { unit, buckets };
+};
+
+// How often each option was picked. Multi-value answers count once per
+// selected option, so percentages are of submissions rather than of picks.
+// Values that are no longer options are kept so nothing silently disappears.
+export const getChoiceDistribution = (field, submissions = []) => {
+  const options = field.type === 'checkbox' ? ['Yes', 'No'] : (field.options || []);
+  const counts = new Map(options.map(option => [option, 0]));
+  let answered = 0;
+
+  submissions.forEach(submission => {
+    let value = getAnswerValue(submission, field.name);
+    if (field.type === 'checkbox') {
+      value = value === true || value === 'true' ? 'Yes' : 'No';
+    }
+    if (!isAnswered(value)) return;
+
+    answered += 1;
+    const picks = Array.isArray(value) ? value : [value];
+    picks.forEach(pick => counts.set(String(pick), (counts.get(String(pick)) || 0) + 1));
+  });
+
+  return {
+    answered,
+    options: [...counts].map(([option, count]) => ({
+      option,
+      count,
+      percent: submissions.length > 0 ? (count / submissions.length) * 100 : 0,
+      isCurrentOption: options.includes(option)
+    }))
+  };
+};
+
+export const getNumberStats = (field, submissions = []) => {
+  const values = submissions
+    .map(submission => getAnswerValue(submission, field.name))
+    .filter(isAnswered)
+    .map(Number)
+    .filter(value => !isNaN(value))
+    .sort((a, b) => a - b);
+
+  if (values.length === 0) return { count: 0 };
+
+  const middle = Math.floor(values.length / 2);
+  return {
+    count: values.length,
+    min: values[0],
+    max: values[values.length - 1],
+    mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+    median: values.length % 2 === 0 ? (values[middle - 1] + values[middle]) / 2 : values[middle]
+  };
+};
+
+export const getResponseRate = (field, submissions = []) => {
+  const answered = submissions.filter(submission => isAnswered(getAnswerValue(submission, field.name))).length;
+  return {
+    answered,
+    total: submissions.length,
+    percent: submissions.length > 0 ? (answered / submissions.length) * 100 : 0
+  };
+};
+
+// Builds the per-field summaries shown on the analytics page
+export const buildFieldAnalytics = (fields = [], submissions = []) =>
+  [...fields]
+    .filter(field => !isPageBreak(field) && field.name)
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map(field => {
+      const isChoice = OPTION_FIELD_TYPES.includes(field.type) || field.type === 'checkbox';
+      return {
+        field,
+        isMultiValue: isMultiValueField(field),
+        distribution: isChoice ? getChoiceDistribution(field, submissions) : null,
+        numberStats: field.type === 'number' ? getNumberStats(field, submissions) : null,
+        responseRate: field.required ? null : getResponseRate(field, submissions)
+      };
+    });
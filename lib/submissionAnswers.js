@@ -0,0 +1,96 @@
+// Helpers for presenting submission answers against a form definition
+
+import { isPageBreak } from './formPages';
+
+export const formatAnswerValue = (value) => {
+  if (value === null || value === undefined) return '-';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) {
+    const items = value.filter(item => item !== null && item !== undefined && item !== '');
+    return items.length > 0 ? items.map(item => formatAnswerValue(item)).join(', ') : '-';
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const sortByOrder = (fields) =>
+  [...fields].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+// Lines answers up with the form's fields in display order. Answers to
+// conditional fields (stored as `${parent}_${nested}`) are grouped under the
+// option of the parent field that revealed them. Answers that no longer match
+// a field in the definition are returned separately so nothing is hidden.
+export const groupAnswersByField = (fields = [], answers = []) => {
+  const answersByName = new Map(answers.map(answer => [answer.name, answer]));
+  const usedNames = new Set();
+
+  const take = (name) => {
+    if (!answersByName.has(name)) return undefined;
+    usedNames.add(name);
+    return answersByName.get(name).value;
+  };
+
+  const rows = sortByOrder(fields.filter(field => !isPageBreak(field))).map(field => {
+    const value = take(field.name);
+    const row = { field, name: field.name, value, hasAnswer: value !== undefined, conditional: [] };
+
+    if ((field.type === 'radio' || field.type === 'select') && field.conditionalFields) {
+      Object.entries(field.conditionalFields).forEach(([option, nestedFields]) => {
+        if (!Array.isArray(nestedFields) || nestedFields.length === 0) return;
+
+        const items = sortByOrder(nestedFields)
+          .map(nestedField => {
+            const name = `${field.name}_${nestedField.name}`;
+            const nestedValue = take(name);
+            return { field: nestedField, name, value: nestedValue, hasAnswer: nestedValue !== undefined };
+          })
+          .filter(item => item.hasAnswer || option === value);
+
+        if (items.length > 0) {
+          row.conditional.push({ option, selected: option === value, items });
+        }
+      });
+    }
+
+    return row;
+  });
+
+  const unmatched = answers.filter(answer => !usedNames.has(answer.name));
+
+  return { rows, unmatched };
+};
+
+// One column per field in definition order, with conditional fields right
+// after their parent, followed by any answered names the definition lacks.
+// Each column keeps its field (null for unknown answers) for type and options.
+export const getAnswerColumns = (fields = [], submissions = []) => {
+  const columns = [];
+  [...fields]
+    .filter(field => !isPageBreak(field) && field.name)
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .forEach(field => {
+      columns.push({ name: field.name, label: field.label || field.name, type: field.type, field });
+      Object.entries(field.conditionalFields || {}).forEach(([option, nestedFields]) => {
+        (Array.isArray(nestedFields) ? nestedFields : []).forEach(nested => {
+          columns.push({
+            name: `${field.name}_${nested.name}`,
+            label: `${field.label || field.name} (${option}): ${nested.label || nested.name}`,
+            type: nested.type,
+            field: nested
+          });
+        });
+      });
+    });
+
+  const known = new Set(columns.map(column => column.name));
+  submissions.forEach(submission => {
+    (submission.answers || []).forEach(answer => {
+      if (!known.has(answer.name)) {
+        known.add(answer.name);
+        columns.push({ name: answer.name, label: answer.name, type: 'text', field: null });
+      }
+    });
+  });
+
+  return columns;
+};
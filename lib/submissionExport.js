@@ -0,0 +1,126 @@
+// Client-side XLSX and NDJSON exports of the submissions matching the current
+// filters. ExcelJS is only loaded when an Excel export is requested.
+
+import { getAnswerColumns } from './submissionAnswers';
+
+const INVALID_SHEET_CHARS = /[\\/?*[\]:]/g;
+const MAX_SHEET_NAME_LENGTH = 31;
+
+const getFormId = (submission) => submission.formId?._id || submission.formId;
+
+const answersToObject = (answers = []) =>
+  Object.fromEntries(answers.map(answer => [answer.name, answer.value]));
+
+// Converts an answer to a typed cell value: numbers, dates and booleans keep
+// their type so spreadsheets can sort and sum them
+export const toCellValue = (value, type) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (Array.isArray(value)) return value.filter(item => item !== null && item !== '').join(', ');
+
+  if (type === 'number') {
+    const number = Number(value);
+    return isNaN(number) ? String(value) : number;
+  }
+  if (type === 'date') {
+    // Date answers are calendar dates; pin them to UTC so no timezone shifts the day
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    return match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : String(value);
+  }
+  if (type === 'checkbox') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Groups submissions by form, keeping the order in which forms first appear
+export const groupSubmissionsByForm = (submissions = [], forms = []) => {
+  const groups = new Map();
+  submissions.forEach(submission => {
+    const formId = getFormId(submission);
+    if (!groups.has(formId)) {
+      const form = forms.find(f => f._id === formId);
+      groups.set(formId, {
+        title: form?.title || submission.formId?.title || 'Unknown form',
+        fields: form?.fields || [],
+        submissions: []
+      });
+    }
+    groups.get(formId).submissions.push(submission);
+  });
+  return [...groups.values()];
+};
+
+const uniqueSheetName = (title, usedNames) => {
+  const base = (title.replace(INVALID_SHEET_CHARS, ' ').replace(/\s+/g, ' ').trim() || 'Form').slice(0, MAX_SHEET_NAME_LENGTH);
+  let name = base;
+  let suffix = 2;
+  while (usedNames.has(name.toLowerCase())) {
+    const tail = ` (${suffix})`;
+    name = `${base.slice(0, MAX_SHEET_NAME_LENGTH - tail.length)}${tail}`;
+    suffix += 1;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+// Builds an .xlsx file with one sheet per form and returns it as a Blob
+export const buildSubmissionsWorkbook = async (groups) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const usedNames = new Set();
+
+  groups.forEach(group => {
+    const sheet = workbook.addWorksheet(uniqueSheetName(group.title, usedNames), {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    const columns = getAnswerColumns(group.fields, group.submissions);
+
+    sheet.columns = [
+      { header: 'Submitted At', key: '_submittedAt', width: 20, style: { numFmt: 'yyyy-mm-dd hh:mm' } },
+      { header: 'Form Version', key: '_formVersion', width: 12 },
+      { header: 'IP Address', key: '_ip', width: 16 },
+      ...columns.map(column => ({
+        header: column.label,
+        key: column.name,
+        width: Math.min(Math.max(column.label.length + 2, 12), 40),
+        style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd' } : undefined
+      }))
+    ];
+    sheet.getRow(1).font = { bold: true };
+
+    group.submissions.forEach(submission => {
+      const answers = answersToObject(submission.answers);
+      const row = {
+        _submittedAt: submission.submittedAt ? new Date(submission.submittedAt) : null,
+        _formVersion: submission.formVersion ?? null,
+        _ip: submission.ip || null
+      };
+      columns.forEach(column => {
+        row[column.name] = toCellValue(answers[column.name], column.type);
+      });
+      sheet.addRow(row);
+    });
+  });
+
+  if (groups.length === 0) {
+    workbook.addWorksheet('Submissions').addRow(['No submissions match the current filters.']);
+  }
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
+
+// One JSON object per line, answers keyed by field name
+export const toNDJSON = (submissions = []) =>
+  submissions
+    .map(submission => JSON.stringify({
+      _id: submission._id,
+      formId: getFormId(submission),
+      formTitle: submission.formId?.title,
+      formVersion: submission.formVersion,
+      submittedAt: submission.submittedAt,
+      ip: submission.ip,
+      answers: answersToObject(submission.answers)
+    }))
+    .join('\n') + (submissions.length > 0 ? '\n' : '');
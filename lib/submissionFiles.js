@@ -0,0 +1,109 @@
+// Files attached to submissions. A file answer holds the uploaded file names
+// (a string, or an array for multi-file fields); older submissions may hold
+// objects with originalName/mimetype/size instead. The files themselves are
+// fetched with the admin token through submissionsAPI.downloadFile, addressed
+// by submission, answer name and position in the answer.
+
+import { getAnswerColumns } from './submissionAnswers';
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|bmp|svg|avif)$/i;
+const PDF_EXTENSION = /\.pdf$/i;
+const UNSAFE_PATH_CHARS = /[\\/:*?"<>|]/g;
+
+const getFormId = (submission) => submission.formId?._id || submission.formId;
+
+// Normalises a file answer to [{ name, index, type, size }]
+export const getAnswerFiles = (value) => {
+  const items = Array.isArray(value) ? value : value ? [value] : [];
+  return items
+    .map((item, index) => {
+      if (typeof item === 'string') {
+        return item ? { name: item, index, type: '', size: null } : null;
+      }
+      if (item && typeof item === 'object') {
+        const name = item.originalName || item.originalname || item.name || item.filename;
+        return name ? { name, index, type: item.mimetype || item.type || '', size: item.size ?? null } : null;
+      }
+      return null;
+    })
+    .filter(Boolean);
+};
+
+// 'image', 'pdf' or null; the blob's type wins over the file name once loaded
+export const getPreviewKind = (file, blobType = '') => {
+  const type = (blobType || file.type || '').toLowerCase();
+  if (type.startsWith('image/')) return 'image';
+  if (type === 'application/pdf') return 'pdf';
+  if (type && type !== 'application/octet-stream') return null;
+  if (IMAGE_EXTENSIONS.test(file.name)) return 'image';
+  if (PDF_EXTENSION.test(file.name)) return 'pdf';
+  return null;
+};
+
+// Names of the file fields (including conditional ones) of each form, by form id
+export const getFileFieldNames = (forms = []) =>
+  Object.fromEntries(forms.map(form => [
+    form._id,
+    new Set(getAnswerColumns(form.fields).filter(column => column.type === 'file').map(column => column.name))
+  ]));
+
+const toSafeName = (name) => name.replace(UNSAFE_PATH_CHARS, '_').trim() || 'file';
+
+const uniqueName = (name, usedNames) => {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+  let candidate = name;
+  let suffix = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = `${base} (${suffix})${extension}`;
+    suffix += 1;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// "2024-03-01_14-05-09_a1b2c3": sorts by submission time and stays unique
+const getSubmissionFolder = (submission) => {
+  const date = new Date(submission.submittedAt);
+  const stamp = isNaN(date.getTime())
+    ? 'undated'
+    : date.toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+  return `${stamp}_${String(submission._id).slice(-6)}`;
+};
+
+// Builds a ZIP with a folder per submission holding its attachments, named
+// "<field>_<file name>". fetchFile(submission, answerName, file) resolves to
+// the file's Blob; files that fail to download are skipped and reported.
+// Resolves to { blob, count, failed } with blob null when nothing was added.
+export const buildAttachmentsZip = async (form, submissions, fetchFile) => {
+  const fileNames = getFileFieldNames([form])[form._id];
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+  const failed = [];
+  let count = 0;
+
+  for (const submission of submissions) {
+    if (getFormId(submission) !== form._id) continue;
+    const folder = getSubmissionFolder(submission);
+    const usedNames = new Set();
+
+    for (const answer of submission.answers || []) {
+      if (!fileNames.has(answer.name)) continue;
+      for (const file of getAnswerFiles(answer.value)) {
+        try {
+          const blob = await fetchFile(submission, answer.name, file);
+          const name = uniqueName(toSafeName(`${answer.name}_${file.name}`), usedNames);
+          zip.file(`${folder}/${name}`, blob);
+          count += 1;
+        } catch (error) {
+          failed.push(`${folder}/${file.name}`);
+        }
+      }
+    }
+  }
+
+  if (count === 0) return { blob: null, count, failed };
+  const blob = await zip.generateAsync({ type: 'blob' });
+  return { blob, count, failed };
+};
@@ -0,0 +1,104 @@
+// Shared between the submissions list and the submission detail page so both
+// request exactly the same slice of submissions.
+
+import { submissionsAPI } from './api';
+
+export const DEFAULT_SUBMISSION_FILTERS = {
+  formId: '',
+  search: '',
+  dateFrom: '',
+  dateTo: '',
+  sortBy: 'submittedAt',
+  sortOrder: 'desc',
+  status: '',
+  assignee: '',
+  page: 1,
+  limit: 10,
+  // Conditions on individual answers: [{ field, operator, value }]
+  answerFilters: []
+};
+
+const FILTER_KEYS = ['formId', 'search', 'dateFrom', 'dateTo', 'sortBy', 'sortOrder', 'status', 'assignee'];
+
+// Builds the params object sent to submissionsAPI.getAll, omitting empty filters
+export const buildSubmissionParams = (filters) => {
+  const params = {
+    page: filters.page || DEFAULT_SUBMISSION_FILTERS.page,
+    limit: filters.limit || DEFAULT_SUBMISSION_FILTERS.limit
+  };
+  FILTER_KEYS.forEach(key => {
+    if (filters[key]) {
+      params[key] = filters[key];
+    }
+  });
+  if (filters.answerFilters?.length > 0) {
+    params.answerFilters = JSON.stringify(filters.answerFilters);
+  }
+  return params;
+};
+
+// Encodes filters as a query object for links, leaving out defaults
+export const filtersToQuery = (filters) => {
+  const query = {};
+  FILTER_KEYS.forEach(key => {
+    if (filters[key] && filters[key] !== DEFAULT_SUBMISSION_FILTERS[key]) {
+      query[key] = filters[key];
+    }
+  });
+  if (filters.page && filters.page !== DEFAULT_SUBMISSION_FILTERS.page) {
+    query.page = String(filters.page);
+  }
+  if (filters.limit && filters.limit !== DEFAULT_SUBMISSION_FILTERS.limit) {
+    query.limit = String(filters.limit);
+  }
+  if (filters.answerFilters?.length > 0) {
+    query.answerFilters = JSON.stringify(filters.answerFilters);
+  }
+  return query;
+};
+
+// Reads filters back out of router.query
+export const filtersFromQuery = (query = {}) => {
+  const filters = { ...DEFAULT_SUBMISSION_FILTERS };
+  FILTER_KEYS.forEach(key => {
+    if (typeof query[key] === 'string') {
+      filters[key] = query[key];
+    }
+  });
+  const page = parseInt(query.page, 10);
+  if (page > 0) filters.page = page;
+  const limit = parseInt(query.limit, 10);
+  if (limit > 0) filters.limit = limit;
+  if (typeof query.answerFilters === 'string') {
+    try {
+      const parsed = JSON.parse(query.answerFilters);
+      if (Array.isArray(parsed)) filters.answerFilters = parsed.filter(f => f && f.field && f.operator);
+    } catch (e) {
+      // A hand-edited or truncated link; ignore the answer filters
+    }
+  }
+  return filters;
+};
+
+// The selection sent to the bulk endpoints: explicit ids, or the current
+// filters (without paging) when everything matching them is selected
+export const buildBulkSelection = (filters, { allMatching, ids }) => {
+  if (!allMatching) return { ids };
+  const { page, limit, ...params } = buildSubmissionParams(filters);
+  return { filters: params };
+};
+
+// Loads every submission matching the filters (ignoring page/limit) by walking
+// the paginated endpoint, for views that need the whole set at once
+export const fetchAllSubmissions = async (filters, pageSize = 100) => {
+  const all = [];
+  let page = 1;
+  let pages = 1;
+  do {
+    const response = await submissionsAPI.getAll(buildSubmissionParams({ ...filters, page, limit: pageSize }));
+    all.push(...response.data.submissions);
+    pages = response.data.pagination?.pages || 1;
+    page += 1;
+  } while (page <= pages);
+  return all;
+};
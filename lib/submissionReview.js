@@ -0,0 +1,40 @@
+// Triage state of a submission: a review status, the admin it is assigned to
+// and a log of internal notes, where a note with a parentId is a reply.
+
+export const REVIEW_STATUSES = [
+  { value: 'new', label: 'New', className: 'bg-gray-100 text-gray-700' },
+  { value: 'in_review', label: 'In Review', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'approved', label: 'Approved', className: 'bg-green-100 text-green-800' },
+  { value: 'rejected', label: 'Rejected', className: 'bg-red-100 text-red-800' }
+];
+
+// Value of the assignee filter for submissions nobody has picked up
+export const UNASSIGNED = 'unassigned';
+
+// Submissions from before the workflow existed have no status and count as new
+export const getReviewStatus = (submission) =>
+  REVIEW_STATUSES.find(status => status.value === submission?.status) || REVIEW_STATUSES[0];
+
+// assignee may come back populated or as a plain id
+export const getAssigneeId = (submission) => submission?.assignee?._id || submission?.assignee || '';
+
+export const getAdminName = (admin) => admin?.username || admin?.email || 'Unknown admin';
+
+// Groups the flat notes log into threads, oldest first. Replies whose parent
+// is missing are shown as threads of their own rather than dropped.
+export const buildNoteThreads = (notes = []) => {
+  const byDate = [...notes].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const ids = new Set(byDate.map(note => note._id));
+  const threads = byDate
+    .filter(note => !note.parentId || !ids.has(note.parentId))
+    .map(note => ({ note, replies: [] }));
+  const threadById = new Map(threads.map(thread => [thread.note._id, thread]));
+
+  byDate.forEach(note => {
+    if (note.parentId && threadById.has(note.parentId)) {
+      threadById.get(note.parentId).replies.push(note);
+    }
+  });
+
+  return threads;
+};
@@ -0,0 +1,14 @@
+// Clock hook for the schedule helpers in formSchedule.js, which take `now`
+// as an argument so they stay pure.
+
+import { useState, useEffect } from 'react';
+
+// Current time, refreshed every intervalMs so countdowns keep moving
+export const useNow = (intervalMs = 30000) => {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+  return now;
+};
@@ -0,0 +1,288 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../../components/Layout';
+import { formsAPI } from '../../lib/api';
+import { fetchAllSubmissions, filtersFromQuery, filtersToQuery } from '../../lib/submissionFilters';
+import { getSubmissionsOverTime, buildFieldAnalytics } from '../../lib/submissionAnalytics';
+
+const formatNumber = (value) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(2);
+
+const formatPercent = (value) => `${Math.round(value)}%`;
+
+export default function Analytics() {
+  const router = useRouter();
+  const [forms, setForms] = useState([]);
+  const [formId, setFormId] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [submissions, setSubmissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingSubmissions, setLoadingSubmissions] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const token = localStorage.getItem('adminToken');
+    if (!token) {
+      router.push('/admin/login');
+      return;
+    }
+    if (router.isReady) {
+      const filters = filtersFromQuery(router.query);
+      setFormId(filters.formId);
+      setDateFrom(filters.dateFrom);
+      setDateTo(filters.dateTo);
+      fetchForms(filters.formId);
+    }
+  }, [router.isReady]);
+
+  useEffect(() => {
+    if (!formId) {
+      setSubmissions([]);
+      return;
+    }
+    fetchSubmissions();
+    router.replace(
+      { pathname: router.pathname, query: filtersToQuery({ formId, dateFrom, dateTo }) },
+      undefined,
+      { shallow: true }
+    );
+  }, [formId, dateFrom, dateTo]);
+
+  const fetchForms = async (initialFormId) => {
+    try {
+      const response = await formsAPI.getAll();
+      setForms(response.data);
+      if (!initialFormId && response.data.length > 0) {
+        setFormId(response.data[0]._id);
+      }
+    } catch (error) {
+      if (error.response?.status === 401) {
+        router.push('/admin/login');
+      } else {
+        setError('Failed to load forms. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSubmissions = async () => {
+    setLoadingSubmissions(true);
+    setError('');
+    try {
+      setSubmissions(await fetchAllSubmissions({ formId, dateFrom, dateTo }));
+    } catch (error) {
+      if (error.response?.status === 401) {
+        router.push('/admin/login');
+      } else {
+        setError('Failed to load submissions. Please try again.');
+      }
+    } finally {
+      setLoadingSubmissions(false);
+    }
+  };
+
+  const form = forms.find(f => f._id === formId);
+  const overTime = useMemo(
+    () => getSubmissionsOverTime(submissions, { dateFrom, dateTo }),
+    [submissions, dateFrom, dateTo]
+  );
+  const fieldAnalytics = useMemo(
+    () => buildFieldAnalytics(form?.fields, submissions),
+    [form, submissions]
+  );
+  const maxBucket = Math.max(1, ...overTime.buckets.map(b => b.count));
+  // Keep axis labels readable on long ranges
+  const labelEvery = Math.max(1, Math.ceil(overTime.buckets.length / 12));
+
+  const renderBar = (percent, colorClass) => (
+    <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+      <div className={`h-full rounded-full ${colorClass}`} style={{ width: `${Math.min(percent, 100)}%` }}></div>
+    </div>
+  );
+
+  return (
+    <Layout isAdmin={true}>
+      <div className="space-y-4 sm:space-y-6">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Analytics</h1>
+            <p className="mt-1 text-sm text-gray-500">Response trends and answer breakdowns per form</p>
+          </div>
+          {formId && (
+            <button
+              onClick={() => router.push({ pathname: '/admin/submissions', query: filtersToQuery({ formId, dateFrom, dateTo }) })}
+              className="btn-secondary whitespace-nowrap w-full sm:w-auto"
+            >
+              View Submissions
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        <div className="card p-4 sm:p-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Form</label>
+              <select
+                value={formId}
+                onChange={(e) => setFormId(e.target.value)}
+                className="input-field w-full"
+                disabled={loading}
+              >
+                {forms.length === 0 && <option value="">No forms</option>}
+                {forms.map(f => (
+                  <option key={f._id} value={f._id}>{f.title}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Date From</label>
+              <input
+                type="date"
+                value={dateFrom}
+                onChange={(e) => setDateFrom(e.target.value)}
+                className="input-field w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Date To</label>
+              <input
+                type="date"
+                value={dateTo}
+                onChange={(e) => setDateTo(e.target.value)}
+                className="input-field w-full"
+              />
+            </div>
+          </div>
+          {(dateFrom || dateTo) && (
+            <button
+              onClick={() => {
+                setDateFrom('');
+                setDateTo('');
+              }}
+              className="mt-4 text-sm text-blue-600 hover:text-blue-800 font-medium"
+            >
+              Clear date range
+            </button>
+          )}
+        </div>
+
+        {loading || loadingSubmissions ? (
+          <div className="text-center py-12 sm:py-16">
+            <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+            <p className="mt-4 text-gray-500">Loading analytics...</p>
+          </div>
+        ) : !form ? (
+          <div className="card p-8 sm:p-12 text-center">
+            <p className="text-sm sm:text-base text-gray-500">Select a form to see its analytics.</p>
+          </div>
+        ) : (
+          <>
+            <div className="card p-4 sm:p-6">
+              <div className="flex items-baseline justify-between mb-4">
+                <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Submissions Over Time</h2>
+                <p className="text-sm text-gray-500">
+                  {submissions.length} total · per {overTime.unit}
+                </p>
+              </div>
+              {overTime.buckets.length === 0 ? (
+                <p className="text-sm text-gray-500">No submissions in this range.</p>
+              ) : (
+                <div>
+                  <div className="flex items-end gap-px h-40 border-b border-gray-200">
+                    {overTime.buckets.map(bucket => (
+                      <div
+                        key={bucket.date.getTime()}
+                        className="flex-1 bg-blue-500 hover:bg-blue-600 rounded-t min-w-[2px]"
+                        style={{ height: `${(bucket.count / maxBucket) * 100}%` }}
+                        title={`${bucket.label}: ${bucket.count}`}
+                      ></div>
+                    ))}
+                  </div>
+                  <div className="flex gap-px mt-1">
+                    {overTime.buckets.map((bucket, idx) => (
+                      <div key={bucket.date.getTime()} className="flex-1 text-[10px] text-gray-400 overflow-visible whitespace-nowrap">
+                        {idx % labelEvery === 0 ? bucket.label : ''}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 sm:gap-6">
+              {fieldAnalytics.map(({ field, isMultiValue, distribution, numberStats, responseRate }) => (
+                <div key={field.name} className="card p-4 sm:p-6 space-y-4">
+                  <div>
+                    <h3 className="text-base font-semibold text-gray-900">{field.label}</h3>
+                    <p className="text-xs text-gray-500">
+                      {field.type}{field.required ? ' · required' : ' · optional'}
+                    </p>
+                  </div>
+
+                  {distribution && (
+                    <div className="space-y-2">
+                      {distribution.options.map(entry => (
+                        <div key={entry.option}>
+                          <div className="flex justify-between text-sm mb-1">
+                            <span className={entry.isCurrentOption ? 'text-gray-700' : 'text-gray-400 italic'}>
+                              {entry.option}
+                              {!entry.isCurrentOption && ' (removed option)'}
+                            </span>
+                            <span className="text-gray-500">{entry.count} · {formatPercent(entry.percent)}</span>
+                          </div>
+                          {renderBar(entry.percent, 'bg-indigo-500')}
+                        </div>
+                      ))}
+                      {isMultiValue && (
+                        <p className="text-xs text-gray-400">Respondents can pick several options, so percentages can add up to more than 100%.</p>
+                      )}
+                    </div>
+                  )}
+
+                  {numberStats && (
+                    numberStats.count === 0 ? (
+                      <p className="text-sm text-gray-500">No numeric answers yet.</p>
+                    ) : (
+                      <dl className="grid grid-cols-4 gap-2 text-center">
+                        {['min', 'max', 'mean', 'median'].map(stat => (
+                          <div key={stat} className="bg-gray-50 rounded-lg p-2">
+                            <dt className="text-xs text-gray-500 capitalize">{stat}</dt>
+                            <dd className="text-sm sm:text-base font-semibold text-gray-900">{formatNumber(numberStats[stat])}</dd>
+                          </div>
+                        ))}
+                      </dl>
+                    )
+                  )}
+
+                  {responseRate && (
+                    <div>
+                      <div className="flex justify-between text-sm mb-1">
+                        <span className="text-gray-700">Response rate</span>
+                        <span className="text-gray-500">
+                          {responseRate.answered} of {responseRate.total} · {formatPercent(responseRate.percent)}
+                        </span>
+                      </div>
+                      {renderBar(responseRate.percent, 'bg-green-500')}
+                    </div>
+                  )}
+
+                  {!distribution && !numberStats && !responseRate && (
+                    <p className="text-sm text-gray-400">Required free-text field; no chart available.</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+}
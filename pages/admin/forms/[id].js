@@ -2,14 +2,29 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Layout from '../../../components/Layout';
 import DraggableFieldList from '../../../components/DraggableFieldList';
+import ConfirmationSettings from '../../../components/ConfirmationSettings';
+import ScheduleSettings from '../../../components/ScheduleSettings';
+import FormVersionHistory from '../../../components/FormVersionHistory';
+import FormPreviewPane from '../../../components/FormPreviewPane';
 import { formsAPI } from '../../../lib/api';
+import { countInputFields } from '../../../lib/formPages';
+import { needsOptions } from '../../../lib/fieldTypes';
+import { validateVisibilityRules } from '../../../lib/conditionalLogic';
+import { getSchedule, validateSchedule } from '../../../lib/formSchedule';
+import { DEFAULT_CONFIRMATION, getConfirmation, validateConfirmation } from '../../../lib/formConfirmation';
 
 export default function EditForm() {
   const router = useRouter();
   const { id } = router.query;
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
+  const [allowDrafts, setAllowDrafts] = useState(false);
+  const [confirmation, setConfirmation] = useState(DEFAULT_CONFIRMATION);
+  const [schedule, setSchedule] = useState(() => getSchedule(null));
   const [fields, setFields] = useState([]);
+  const [version, setVersion] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
@@ -30,14 +45,7 @@ export default function EditForm() {
     try {
       setError('');
       const response = await formsAPI.getById(id);
-      setTitle(response.data.title);
-      setDescription(response.data.description || '');
-      // Ensure each field has a stable drag ID
-      const fieldsWithDragIds = (response.data.fields || []).map((field, index) => ({
-        ...field,
-        _dragId: field._dragId || field.name || `field-${field._id || index}`,
-      }));
-      setFields(fieldsWithDragIds);
+      applyForm(response.data);
     } catch (error) {
       console.error('Error fetching form:', error);
       if (error.response?.status === 401) {
@@ -52,6 +60,27 @@ export default function EditForm() {
     }
   };
 
+  const applyForm = (form) => {
+    setTitle(form.title);
+    setDescription(form.description || '');
+    setAllowDrafts(!!form.allowDrafts);
+    setConfirmation(getConfirmation(form));
+    setSchedule(getSchedule(form));
+    setVersion(form.version ?? null);
+    // Ensure each field has a stable drag ID
+    const fieldsWithDragIds = (form.fields || []).map((field, index) => ({
+      ...field,
+      _dragId: field._dragId || field.name || `field-${field._id || index}`,
+    }));
+    setFields(fieldsWithDragIds);
+  };
+
+  const handleRollback = (form) => {
+    applyForm(form);
+    setError('');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -62,7 +91,7 @@ export default function EditForm() {
       return;
     }
 
-    if (fields.length === 0) {
+    if (countInputFields(fields) === 0) {
       setError('At least one field is required. Please add at least one field to your form.');
       window.scrollTo({ top: 0, behavior: 'smooth' });
       return;
@@ -88,12 +117,33 @@ export default function EditForm() {
     const fieldsNeedingOptions = fields.filter(f => {
       // Only validate if field is complete (has name and label)
       const isComplete = f.name && f.name.trim() && f.label && f.label.trim();
-      return isComplete && (f.type === 'select' || f.type === 'radio') && 
+      return isComplete && needsOptions(f.type) && 
              (!f.options || !Array.isArray(f.options) || f.options.length === 0);
     });
     if (fieldsNeedingOptions.length > 0) {
       const fieldLabels = fieldsNeedingOptions.map(f => f.label || f.name || 'Unnamed field').join(', ');
-      setError(`Radio and Select fields must have at least one option. Please add options to: ${fieldLabels}`);
+      setError(`Choice fields (radio, select, checkbox group, multi-select) must have at least one option. Please add options to: ${fieldLabels}`);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    const visibilityError = validateVisibilityRules(fields);
+    if (visibilityError) {
+      setError(visibilityError);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      setError(scheduleError);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    const confirmationError = validateConfirmation(confirmation);
+    if (confirmationError) {
+      setError(confirmationError);
       window.scrollTo({ top: 0, behavior: 'smooth' });
       return;
     }
@@ -103,6 +153,9 @@ export default function EditForm() {
       await formsAPI.update(id, {
         title,
         description,
+        allowDrafts,
+        ...schedule,
+        confirmation,
         fields
       });
       router.push('/admin/forms');
@@ -159,15 +212,40 @@ export default function EditForm() {
         <div className="flex items-center justify-between">
           <div>
             <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Edit Form</h1>
-            <p className="mt-1 text-sm text-gray-500">Update your form configuration</p>
+            <p className="mt-1 text-sm text-gray-500">
+              Update your form configuration
+              {version !== null && ` · Version ${version}`}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                setShowPreview(!showPreview);
+                setShowHistory(false);
+              }}
+              className="btn-secondary"
+            >
+              {showPreview ? 'Hide Preview' : 'Preview'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setShowHistory(!showHistory);
+                setShowPreview(false);
+              }}
+              className="btn-secondary"
+            >
+              {showHistory ? 'Hide History' : 'History'}
+            </button>
+            <button
+              type="button"
+              onClick={() => router.push('/admin/forms')}
+              className="btn-secondary hidden sm:inline-flex"
+            >
+              Cancel
+            </button>
           </div>
-          <button
-            type="button"
-            onClick={() => router.push('/admin/forms')}
-            className="btn-secondary hidden sm:inline-flex"
-          >
-            Cancel
-          </button>
         </div>
 
         {error && (
@@ -184,72 +262,118 @@ export default function EditForm() {
           </div>
         )}
 
-        <form onSubmit={handleSubmit} className="space-y-4 sm:space-y-6">
-          <div className="card p-4 sm:p-6 space-y-4">
-            <div>
-              <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1.5">
-                Form Title <span className="text-red-500">*</span>
+        <div
+          className={
+            showHistory
+              ? 'grid grid-cols-1 lg:grid-cols-3 gap-4 sm:gap-6 items-start'
+              : showPreview
+                ? 'grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6 items-start'
+                : ''
+          }
+        >
+          <form onSubmit={handleSubmit} className={`space-y-4 sm:space-y-6 ${showHistory ? 'lg:col-span-2' : ''}`}>
+            <div className="card p-4 sm:p-6 space-y-4">
+              <div>
+                <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1.5">
+                  Form Title <span className="text-red-500">*</span>
+                </label>
+                <input
+                  id="title"
+                  type="text"
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  className="input-field"
+                  placeholder="Form Title"
+                  required
+                  maxLength={200}
+                />
+                <p className="mt-1 text-xs text-gray-500">{title.length}/200 characters</p>
+              </div>
+              <div>
+                <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1.5">
+                  Description
+                </label>
+                <textarea
+                  id="description"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  className="input-field"
+                  rows="3"
+                  placeholder="Form Description"
+                  maxLength={1000}
+                />
+                <p className="mt-1 text-xs text-gray-500">{description.length}/1000 characters</p>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={allowDrafts}
+                  onChange={(e) => setAllowDrafts(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                Allow respondents to save progress and get a resume link
               </label>
-              <input
-                id="title"
-                type="text"
-                value={title}
-                onChange={(e) => setTitle(e.target.value)}
-                className="input-field"
-                placeholder="Form Title"
-                required
-                maxLength={200}
-              />
-              <p className="mt-1 text-xs text-gray-500">{title.length}/200 characters</p>
             </div>
-            <div>
-              <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1.5">
-                Description
-              </label>
-              <textarea
-                id="description"
-                value={description}
-                onChange={(e) => setDescription(e.target.value)}
-                className="input-field"
-                rows="3"
-                placeholder="Form Description"
-                maxLength={1000}
-              />
-              <p className="mt-1 text-xs text-gray-500">{description.length}/1000 characters</p>
+
+            <div className="card p-4 sm:p-6">
+              <DraggableFieldList fields={fields} onFieldsChange={setFields} formId={id} />
             </div>
-          </div>
 
-          <div className="card p-4 sm:p-6">
-            <DraggableFieldList fields={fields} onFieldsChange={setFields} />
-          </div>
+            <div className="card p-4 sm:p-6">
+              <ScheduleSettings schedule={schedule} onChange={setSchedule} />
+            </div>
 
-          <div className="flex flex-col-reverse sm:flex-row justify-end gap-3 sm:gap-4 pt-4 border-t border-gray-200">
-            <button
-              type="button"
-              onClick={() => router.push('/admin/forms')}
-              className="btn-secondary w-full sm:w-auto"
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              disabled={saving}
-              className="btn-primary w-full sm:w-auto"
-            >
-              {saving ? (
-                <span className="flex items-center justify-center">
-                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Saving...
-                </span>
-              ) : (
-                'Save Changes'
-              )}
-            </button>
-          </div>
-        </form>
+            <div className="card p-4 sm:p-6">
+              <ConfirmationSettings confirmation={confirmation} fields={fields} onChange={setConfirmation} />
+            </div>
+
+            <div className="flex flex-col-reverse sm:flex-row justify-end gap-3 sm:gap-4 pt-4 border-t border-gray-200">
+              <button
+                type="button"
+                onClick={() => router.push('/admin/forms')}
+                className="btn-secondary w-full sm:w-auto"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="btn-primary w-full sm:w-auto"
+              >
+                {saving ? (
+                  <span className="flex items-center justify-center">
+                    <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                    Saving...
+                  </span>
+                ) : (
+                  'Save Changes'
+                )}
+              </button>
+            </div>
+          </form>
+
+          {showHistory && (
+            <FormVersionHistory
+              formId={id}
+              currentVersion={version}
+              onRollback={handleRollback}
+              onClose={() => setShowHistory(false)}
+              onUnauthorized={() => router.push('/admin/login')}
+            />
+          )}
+
+          {showPreview && (
+            <FormPreviewPane
+              title={title}
+              description={description}
+              fields={fields}
+              onClose={() => setShowPreview(false)}
+            />
+          )}
+        </div>
       </div>
     </Layout>
   );
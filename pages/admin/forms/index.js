@@ -1,7 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Layout from '../../../components/Layout';
+import FormsTrash from '../../../components/FormsTrash';
+import EmbedCodeDialog from '../../../components/EmbedCodeDialog';
+import ScheduleBadge from '../../../components/ScheduleBadge';
 import { formsAPI } from '../../../lib/api';
+import { countInputFields } from '../../../lib/formPages';
+import { exportFormDefinition, cloneFormDefinition } from '../../../lib/formTransfer';
+import { downloadBlob, toFileSlug } from '../../../lib/download';
 
 export default function FormsList() {
   const router = useRouter();
@@ -10,6 +16,10 @@ export default function FormsList() {
   const [error, setError] = useState('');
   const [deletingId, setDeletingId] = useState(null);
   const [togglingId, setTogglingId] = useState(null);
+  const [exportingId, setExportingId] = useState(null);
+  const [cloningId, setCloningId] = useState(null);
+  const [view, setView] = useState('forms');
+  const [embedForm, setEmbedForm] = useState(null);
 
   useEffect(() => {
     const token = localStorage.getItem('adminToken');
@@ -65,6 +75,32 @@ export default function FormsList() {
     }
   };
 
+  const handleClone = async (form) => {
+    setCloningId(form._id);
+    try {
+      const response = await formsAPI.getById(form._id);
+      const created = await formsAPI.create(cloneFormDefinition(response.data));
+      router.push(`/admin/forms/${created.data._id}`);
+    } catch (error) {
+      alert('Error cloning form. Please try again.');
+      setCloningId(null);
+    }
+  };
+
+  const handleExportJSON = async (form) => {
+    setExportingId(form._id);
+    try {
+      // Fetch the full definition rather than relying on the list payload
+      const response = await formsAPI.getById(form._id);
+      const definition = exportFormDefinition(response.data);
+      downloadBlob(JSON.stringify(definition, null, 2), `form_${toFileSlug(form.title)}.json`, 'application/json');
+    } catch (error) {
+      alert('Error exporting form. Please try again.');
+    } finally {
+      setExportingId(null);
+    }
+  };
+
   return (
     <Layout isAdmin={true}>
       <div className="space-y-4 sm:space-y-6">
@@ -84,13 +120,39 @@ export default function FormsList() {
           </button>
         </div>
 
-        {error && (
+        <div className="border-b border-gray-200">
+          <nav className="-mb-px flex space-x-6" aria-label="Form views">
+            {[
+              { value: 'forms', label: 'All Forms' },
+              { value: 'trash', label: 'Trash' }
+            ].map(tab => (
+              <button
+                key={tab.value}
+                onClick={() => setView(tab.value)}
+                className={`py-2 px-1 border-b-2 text-sm font-medium transition-colors ${
+                  view === tab.value
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        {view === 'forms' && error && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-4">
             <p className="text-sm text-red-700">{error}</p>
           </div>
         )}
 
-        {loading ? (
+        {view === 'trash' ? (
+          <FormsTrash
+            onRestore={fetchForms}
+            onUnauthorized={() => router.push('/admin/login')}
+          />
+        ) : loading ? (
           <div className="text-center py-12 sm:py-16">
             <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
             <p className="mt-4 text-gray-500">Loading forms...</p>
@@ -124,15 +186,18 @@ export default function FormsList() {
                         <p className="text-sm text-gray-500 mt-1 line-clamp-2">{form.description}</p>
                       )}
                     </div>
-                    <span className={`ml-2 px-2 py-1 text-xs font-semibold rounded-full whitespace-nowrap ${
-                      form.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
-                    }`}>
-                      {form.isActive ? 'Active' : 'Inactive'}
-                    </span>
+                    <div className="ml-2 flex flex-col items-end gap-1">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full whitespace-nowrap ${
+                        form.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                      }`}>
+                        {form.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                      {form.isActive && <ScheduleBadge form={form} />}
+                    </div>
                   </div>
                   
                   <div className="flex items-center justify-between text-xs text-gray-500 mb-4">
-                    <span>{form.fields.length} field{form.fields.length !== 1 ? 's' : ''}</span>
+                    <span>{countInputFields(form.fields)} field{countInputFields(form.fields) !== 1 ? 's' : ''}</span>
                     <span>{new Date(form.createdAt).toLocaleDateString()}</span>
                   </div>
                   
@@ -150,6 +215,26 @@ export default function FormsList() {
                     >
                       Edit
                     </button>
+                    <button
+                      onClick={() => handleClone(form)}
+                      disabled={cloningId === form._id}
+                      className="flex-1 px-3 py-2 text-xs sm:text-sm font-medium text-purple-600 bg-purple-50 rounded-md hover:bg-purple-100 disabled:opacity-50"
+                    >
+                      {cloningId === form._id ? 'Cloning...' : 'Clone'}
+                    </button>
+                    <button
+                      onClick={() => setEmbedForm(form)}
+                      className="flex-1 px-3 py-2 text-xs sm:text-sm font-medium text-teal-600 bg-teal-50 rounded-md hover:bg-teal-100"
+                    >
+                      Embed
+                    </button>
+                    <button
+                      onClick={() => handleExportJSON(form)}
+                      disabled={exportingId === form._id}
+                      className="flex-1 px-3 py-2 text-xs sm:text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      {exportingId === form._id ? 'Exporting...' : 'Export JSON'}
+                    </button>
                     <button
                       onClick={() => handleDelete(form._id, form.title)}
                       disabled={deletingId === form._id}
@@ -185,14 +270,17 @@ export default function FormsList() {
                           )}
                         </td>
                         <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                          {form.fields.length} field{form.fields.length !== 1 ? 's' : ''}
+                          {countInputFields(form.fields)} field{countInputFields(form.fields) !== 1 ? 's' : ''}
                         </td>
                         <td className="px-4 lg:px-6 py-4 whitespace-nowrap">
-                          <span className={`px-2 py-1 inline-flex text-xs font-semibold rounded-full ${
-                            form.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
-                          }`}>
-                            {form.isActive ? 'Active' : 'Inactive'}
-                          </span>
+                          <div className="flex flex-wrap gap-1">
+                            <span className={`px-2 py-1 inline-flex text-xs font-semibold rounded-full ${
+                              form.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                            }`}>
+                              {form.isActive ? 'Active' : 'Inactive'}
+                            </span>
+                            {form.isActive && <ScheduleBadge form={form} />}
+                          </div>
                         </td>
                         <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {new Date(form.createdAt).toLocaleDateString()}
@@ -214,6 +302,29 @@ export default function FormsList() {
                             >
                               Edit
                             </button>
+                            <button
+                              onClick={() => handleClone(form)}
+                              disabled={cloningId === form._id}
+                              className="px-3 py-1.5 text-purple-600 hover:text-purple-900 hover:bg-purple-50 rounded-md transition-colors disabled:opacity-50"
+                              title="Clone as a new inactive form"
+                            >
+                              {cloningId === form._id ? '...' : 'Clone'}
+                            </button>
+                            <button
+                              onClick={() => setEmbedForm(form)}
+                              className="px-3 py-1.5 text-teal-600 hover:text-teal-900 hover:bg-teal-50 rounded-md transition-colors"
+                              title="Get embed code"
+                            >
+                              Embed
+                            </button>
+                            <button
+                              onClick={() => handleExportJSON(form)}
+                              disabled={exportingId === form._id}
+                              className="px-3 py-1.5 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-md transition-colors disabled:opacity-50"
+                              title="Export as JSON"
+                            >
+                              {exportingId === form._id ? '...' : 'Export'}
+                            </button>
                             <button
                               onClick={() => handleDelete(form._id, form.title)}
                               disabled={deletingId === form._id}
@@ -233,6 +344,10 @@ export default function FormsList() {
           </>
         )}
       </div>
+
+      {embedForm && (
+        <EmbedCodeDialog form={embedForm} onClose={() => setEmbedForm(null)} />
+      )}
     </Layout>
   );
 }
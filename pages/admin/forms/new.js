@@ -2,15 +2,29 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Layout from '../../../components/Layout';
 import DraggableFieldList from '../../../components/DraggableFieldList';
+import ConfirmationSettings from '../../../components/ConfirmationSettings';
+import ScheduleSettings from '../../../components/ScheduleSettings';
+import FormImport from '../../../components/FormImport';
+import FormPreviewPane from '../../../components/FormPreviewPane';
 import { formsAPI } from '../../../lib/api';
+import { countInputFields } from '../../../lib/formPages';
+import { needsOptions } from '../../../lib/fieldTypes';
+import { validateVisibilityRules } from '../../../lib/conditionalLogic';
+import { getSchedule, validateSchedule } from '../../../lib/formSchedule';
+import { DEFAULT_CONFIRMATION, validateConfirmation } from '../../../lib/formConfirmation';
 
 export default function NewForm() {
   const router = useRouter();
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
+  const [allowDrafts, setAllowDrafts] = useState(false);
+  const [confirmation, setConfirmation] = useState(DEFAULT_CONFIRMATION);
+  const [schedule, setSchedule] = useState(() => getSchedule(null));
   const [fields, setFields] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [showImport, setShowImport] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
 
   useEffect(() => {
     const token = localStorage.getItem('adminToken');
@@ -29,7 +43,7 @@ export default function NewForm() {
       return;
     }
 
-    if (fields.length === 0) {
+    if (countInputFields(fields) === 0) {
       setError('At least one field is required. Please add at least one field to your form.');
       window.scrollTo({ top: 0, behavior: 'smooth' });
       return;
@@ -56,12 +70,33 @@ export default function NewForm() {
     const fieldsNeedingOptions = fields.filter(f => {
       // Only validate if field is complete (has name and label)
       const isComplete = f.name && f.name.trim() && f.label && f.label.trim();
-      return isComplete && (f.type === 'select' || f.type === 'radio') && 
+      return isComplete && needsOptions(f.type) && 
              (!f.options || !Array.isArray(f.options) || f.options.length === 0);
     });
     if (fieldsNeedingOptions.length > 0) {
       const fieldLabels = fieldsNeedingOptions.map(f => f.label || f.name || 'Unnamed field').join(', ');
-      setError(`Radio and Select fields must have at least one option. Please add options to: ${fieldLabels}`);
+      setError(`Choice fields (radio, select, checkbox group, multi-select) must have at least one option. Please add options to: ${fieldLabels}`);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    const visibilityError = validateVisibilityRules(fields);
+    if (visibilityError) {
+      setError(visibilityError);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      setError(scheduleError);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    const confirmationError = validateConfirmation(confirmation);
+    if (confirmationError) {
+      setError(confirmationError);
       window.scrollTo({ top: 0, behavior: 'smooth' });
       return;
     }
@@ -71,6 +106,9 @@ export default function NewForm() {
       await formsAPI.create({
         title,
         description,
+        allowDrafts,
+        ...schedule,
+        confirmation,
         fields
       });
       router.push('/admin/forms');
@@ -98,95 +136,152 @@ export default function NewForm() {
             <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Create New Form</h1>
             <p className="mt-1 text-sm text-gray-500">Build a custom form with dynamic fields</p>
           </div>
-          <button
-            type="button"
-            onClick={() => router.push('/admin/forms')}
-            className="btn-secondary hidden sm:inline-flex"
-          >
-            Cancel
-          </button>
-        </div>
-
-        {error && (
-          <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded">
-            <div className="flex items-start">
-              <svg className="h-5 w-5 text-red-400 mr-3 flex-shrink-0 mt-0.5" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-              </svg>
-              <div className="flex-1">
-                <h3 className="text-sm font-medium text-red-800 mb-1">Error</h3>
-                <pre className="text-sm text-red-700 whitespace-pre-wrap">{error}</pre>
-              </div>
-            </div>
-          </div>
-        )}
-
-        <form onSubmit={handleSubmit} className="space-y-4 sm:space-y-6">
-          <div className="card p-4 sm:p-6 space-y-4">
-            <div>
-              <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1.5">
-                Form Title <span className="text-red-500">*</span>
-              </label>
-              <input
-                id="title"
-                type="text"
-                value={title}
-                onChange={(e) => setTitle(e.target.value)}
-                className="input-field"
-                placeholder="e.g., Contact Form, Survey, Registration"
-                required
-                maxLength={200}
-              />
-              <p className="mt-1 text-xs text-gray-500">{title.length}/200 characters</p>
-            </div>
-            <div>
-              <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1.5">
-                Description
-              </label>
-              <textarea
-                id="description"
-                value={description}
-                onChange={(e) => setDescription(e.target.value)}
-                className="input-field"
-                rows="3"
-                placeholder="Brief description of the form purpose"
-                maxLength={1000}
-              />
-              <p className="mt-1 text-xs text-gray-500">{description.length}/1000 characters</p>
-            </div>
-          </div>
-
-          <div className="card p-4 sm:p-6">
-            <DraggableFieldList fields={fields} onFieldsChange={setFields} />
-          </div>
-
-          <div className="flex flex-col-reverse sm:flex-row justify-end gap-3 sm:gap-4 pt-4 border-t border-gray-200">
+          <div className="flex items-center gap-2">
+            {!showImport && (
+              <button
+                type="button"
+                onClick={() => setShowPreview(!showPreview)}
+                className="btn-secondary"
+              >
+                {showPreview ? 'Hide Preview' : 'Preview'}
+              </button>
+            )}
+            {!showImport && (
+              <button
+                type="button"
+                onClick={() => setShowImport(true)}
+                className="btn-secondary"
+              >
+                Import Form
+              </button>
+            )}
             <button
               type="button"
               onClick={() => router.push('/admin/forms')}
-              className="btn-secondary w-full sm:w-auto"
+              className="btn-secondary hidden sm:inline-flex"
             >
               Cancel
             </button>
-            <button
-              type="submit"
-              disabled={loading}
-              className="btn-primary w-full sm:w-auto"
-            >
-              {loading ? (
-                <span className="flex items-center justify-center">
-                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </div>
+        </div>
+
+        {showImport ? (
+          <FormImport
+            onImported={(form) => router.push(form?._id ? `/admin/forms/${form._id}` : '/admin/forms')}
+            onCancel={() => setShowImport(false)}
+          />
+        ) : (
+          <>
+            {error && (
+              <div className="bg-red-50 border-l-4 border-red-400 p-4 rounded">
+                <div className="flex items-start">
+                  <svg className="h-5 w-5 text-red-400 mr-3 flex-shrink-0 mt-0.5" fill="currentColor" viewBox="0 0 20 20">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
                   </svg>
-                  Creating...
-                </span>
-              ) : (
-                'Create Form'
+                  <div className="flex-1">
+                    <h3 className="text-sm font-medium text-red-800 mb-1">Error</h3>
+                    <pre className="text-sm text-red-700 whitespace-pre-wrap">{error}</pre>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <div className={showPreview ? 'grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6 items-start' : ''}>
+              <form onSubmit={handleSubmit} className="space-y-4 sm:space-y-6">
+                <div className="card p-4 sm:p-6 space-y-4">
+                  <div>
+                    <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1.5">
+                      Form Title <span className="text-red-500">*</span>
+                    </label>
+                    <input
+                      id="title"
+                      type="text"
+                      value={title}
+                      onChange={(e) => setTitle(e.target.value)}
+                      className="input-field"
+                      placeholder="e.g., Contact Form, Survey, Registration"
+                      required
+                      maxLength={200}
+                    />
+                    <p className="mt-1 text-xs text-gray-500">{title.length}/200 characters</p>
+                  </div>
+                  <div>
+                    <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1.5">
+                      Description
+                    </label>
+                    <textarea
+                      id="description"
+                      value={description}
+                      onChange={(e) => setDescription(e.target.value)}
+                      className="input-field"
+                      rows="3"
+                      placeholder="Brief description of the form purpose"
+                      maxLength={1000}
+                    />
+                    <p className="mt-1 text-xs text-gray-500">{description.length}/1000 characters</p>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={allowDrafts}
+                      onChange={(e) => setAllowDrafts(e.target.checked)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    Allow respondents to save progress and get a resume link
+                  </label>
+                </div>
+
+                <div className="card p-4 sm:p-6">
+                  <DraggableFieldList fields={fields} onFieldsChange={setFields} />
+                </div>
+
+                <div className="card p-4 sm:p-6">
+                  <ScheduleSettings schedule={schedule} onChange={setSchedule} />
+                </div>
+
+                <div className="card p-4 sm:p-6">
+                  <ConfirmationSettings confirmation={confirmation} fields={fields} onChange={setConfirmation} />
+                </div>
+
+                <div className="flex flex-col-reverse sm:flex-row justify-end gap-3 sm:gap-4 pt-4 border-t border-gray-200">
+                  <button
+                    type="button"
+                    onClick={() => router.push('/admin/forms')}
+                    className="btn-secondary w-full sm:w-auto"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="btn-primary w-full sm:w-auto"
+                  >
+                    {loading ? (
+                      <span className="flex items-center justify-center">
+                        <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                        Creating...
+                      </span>
+                    ) : (
+                      'Create Form'
+                    )}
+                  </button>
+                </div>
+              </form>
+
+              {showPreview && (
+                <FormPreviewPane
+                  title={title}
+                  description={description}
+                  fields={fields}
+                  onClose={() => setShowPreview(false)}
+                />
               )}
-            </button>
-          </div>
-        </form>
+            </div>
+          </>
+        )}
       </div>
     </Layout>
   );
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { useRouter } from 'next/router';
 import { adminAPI } from '../../lib/api';
+import { saveSession } from '../../lib/adminSession';
 
 export default function Login() {
   const router = useRouter();
@@ -36,7 +37,7 @@ export default function Login() {
 
     try {
       const response = await adminAPI.login(formData);
-      localStorage.setItem('adminToken', response.data.token);
+      saveSession(response.data.token, response.data.admin || { username: formData.username.trim() });
       router.push('/admin/dashboard');
     } catch (err) {
       setError(err.response?.data?.error || 'Login failed. Please check your credentials and try again.');
@@ -1,22 +1,58 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Layout from '../../components/Layout';
-import { submissionsAPI, formsAPI } from '../../lib/api';
+import SubmissionAnswerTable from '../../components/SubmissionAnswerTable';
+import AnswerFilterBuilder from '../../components/AnswerFilterBuilder';
+import SubmissionBulkActions from '../../components/SubmissionBulkActions';
+import SubmissionBadges from '../../components/SubmissionBadges';
+import SubmissionReviewControls from '../../components/SubmissionReviewControls';
+import FileAnswer from '../../components/FileAnswer';
+import { submissionsAPI, formsAPI, adminAPI } from '../../lib/api';
+import { formatAnswerValue, getAnswerColumns } from '../../lib/submissionAnswers';
+import {
+  buildSubmissionParams,
+  buildBulkSelection,
+  filtersFromQuery,
+  filtersToQuery,
+  fetchAllSubmissions
+} from '../../lib/submissionFilters';
+import { groupSubmissionsByForm, buildSubmissionsWorkbook, toNDJSON } from '../../lib/submissionExport';
+import { buildAttachmentsZip, getFileFieldNames } from '../../lib/submissionFiles';
+import { downloadBlob, toFileSlug } from '../../lib/download';
+import { getFieldLabels } from '../../lib/formVersions';
+import { REVIEW_STATUSES, UNASSIGNED, getAdminName } from '../../lib/submissionReview';
+
+// How long the "Undo" option stays available after a bulk delete
+const UNDO_WINDOW_MS = 10000;
 
 export default function Submissions() {
   const router = useRouter();
   const [submissions, setSubmissions] = useState([]);
   const [forms, setForms] = useState([]);
+  const [formsLoaded, setFormsLoaded] = useState(false);
   const [selectedFormId, setSelectedFormId] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [exporting, setExporting] = useState(false);
+  const [exporting, setExporting] = useState(null); // Format being exported
   const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0, pages: 0 });
   const [search, setSearch] = useState('');
   const [dateFrom, setDateFrom] = useState('');
   const [dateTo, setDateTo] = useState('');
   const [sortBy, setSortBy] = useState('submittedAt');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [answerFilters, setAnswerFilters] = useState([]);
+  const [status, setStatus] = useState('');
+  const [assignee, setAssignee] = useState('');
+  const [admins, setAdmins] = useState([]);
+  // Filters are read from the URL once before the first fetch
+  const [filtersReady, setFiltersReady] = useState(false);
+  // Field labels of older form versions, keyed by `${formId}@${version}`
+  const [versionLabels, setVersionLabels] = useState({});
+  // Selected rows by id (kept across pages), or every submission matching the filters
+  const [selection, setSelection] = useState({ allMatching: false, items: {} });
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [undoDelete, setUndoDelete] = useState(null); // { ids, count }
+  const undoTimer = useRef(null);
 
   useEffect(() => {
     const token = localStorage.getItem('adminToken');
@@ -24,15 +60,46 @@ export default function Submissions() {
       router.push('/admin/login');
       return;
     }
-    fetchForms();
+    if (router.isReady) {
+      const filters = filtersFromQuery(router.query);
+      setSelectedFormId(filters.formId);
+      setSearch(filters.search);
+      setDateFrom(filters.dateFrom);
+      setDateTo(filters.dateTo);
+      setSortBy(filters.sortBy);
+      setSortOrder(filters.sortOrder);
+      setAnswerFilters(filters.answerFilters);
+      setStatus(filters.status);
+      setAssignee(filters.assignee);
+      setPagination(prev => ({ ...prev, page: filters.page, limit: filters.limit }));
+      setFiltersReady(true);
+      fetchForms();
+      fetchAdmins();
+    }
+  }, [router.isReady]);
+
+  useEffect(() => {
+    if (!filtersReady) return;
     fetchSubmissions();
-  }, [router]);
+    // Keep the URL in step so filtered views can be shared
+    router.replace(
+      { pathname: router.pathname, query: filtersToQuery(getCurrentFilters()) },
+      undefined,
+      { shallow: true }
+    );
+  }, [filtersReady, selectedFormId, pagination.page, search, dateFrom, dateTo, sortBy, sortOrder, answerFilters, status, assignee]);
 
+  // A selection only makes sense for the filters it was made under
   useEffect(() => {
-    if (selectedFormId || selectedFormId === '') {
-      fetchSubmissions();
-    }
-  }, [selectedFormId, pagination.page, search, dateFrom, dateTo, sortBy, sortOrder]);
+    setSelection({ allMatching: false, items: {} });
+  }, [selectedFormId, search, dateFrom, dateTo, answerFilters, status, assignee]);
+
+  useEffect(() => () => clearTimeout(undoTimer.current), []);
+
+  // Waits for the forms so submissions on their current version need no lookup
+  useEffect(() => {
+    if (formsLoaded) loadVersionLabels(submissions);
+  }, [formsLoaded, submissions]);
 
   const fetchForms = async () => {
     try {
@@ -42,35 +109,107 @@ export default function Submissions() {
       if (error.response?.status === 401) {
         router.push('/admin/login');
       }
+    } finally {
+      setFormsLoaded(true);
     }
   };
 
+  const fetchAdmins = async () => {
+    try {
+      const response = await adminAPI.getAll();
+      setAdmins(response.data);
+    } catch (error) {
+      // Assignees can still be shown and filtered by what the submissions carry
+      setAdmins([]);
+    }
+  };
+
+  const getCurrentFilters = () => ({
+    formId: selectedFormId,
+    search,
+    dateFrom,
+    dateTo,
+    sortBy,
+    sortOrder,
+    answerFilters,
+    status,
+    assignee,
+    page: pagination.page,
+    limit: pagination.limit
+  });
+
+  const selectedForm = forms.find(form => form._id === selectedFormId);
+  const answerColumns = useMemo(
+    () => (selectedForm ? getAnswerColumns(selectedForm.fields, submissions) : []),
+    [selectedForm, submissions]
+  );
+
+  const currentLabels = useMemo(
+    () => Object.fromEntries(forms.map(form => [form._id, { version: form.version, labels: getFieldLabels(form.fields) }])),
+    [forms]
+  );
+
+  const fileFieldNames = useMemo(() => getFileFieldNames(forms), [forms]);
+  const hasFileFields = Boolean(selectedFormId && fileFieldNames[selectedFormId]?.size);
+
+  const getSubmissionFormId = (submission) => submission.formId?._id || submission.formId;
+
+  // Fetches the definitions of any older versions the listed submissions were filled against
+  const loadVersionLabels = async (items) => {
+    const missing = new Map();
+    items.forEach(submission => {
+      const formId = getSubmissionFormId(submission);
+      const version = submission.formVersion;
+      if (!formId || version === undefined || version === null) return;
+      if (currentLabels[formId]?.version === version) return;
+      const key = `${formId}@${version}`;
+      if (!(key in versionLabels)) missing.set(key, { formId, version });
+    });
+    if (missing.size === 0) return;
+
+    const loaded = await Promise.all(
+      [...missing].map(([key, { formId, version }]) =>
+        formsAPI.getVersion(formId, version)
+          .then(res => [key, getFieldLabels(res.data.fields)])
+          // Fall back to the current labels rather than retrying on every page
+          .catch(() => [key, null])
+      )
+    );
+    setVersionLabels(prev => ({ ...prev, ...Object.fromEntries(loaded) }));
+  };
+
+  const renderAnswerValue = (submission, answer) =>
+    fileFieldNames[getSubmissionFormId(submission)]?.has(answer.name) ? (
+      <FileAnswer submissionId={submission._id} fieldName={answer.name} value={answer.value} compact />
+    ) : (
+      formatAnswerValue(answer.value)
+    );
+
+  const getAnswerLabel = (submission, name) => {
+    const formId = getSubmissionFormId(submission);
+    const labels = versionLabels[`${formId}@${submission.formVersion}`] || currentLabels[formId]?.labels;
+    return labels?.[name] || name;
+  };
+
+  const renderVersionBadge = (submission) =>
+    submission.formVersion !== undefined && submission.formVersion !== null && (
+      <span className="ml-2 px-1.5 py-0.5 text-xs font-medium rounded bg-gray-100 text-gray-600">
+        v{submission.formVersion}
+      </span>
+    );
+
+  const openSubmission = (id) => {
+    router.push({
+      pathname: `/admin/submissions/${id}`,
+      query: filtersToQuery(getCurrentFilters())
+    });
+  };
+
   const fetchSubmissions = async () => {
     setLoading(true);
     setError('');
     try {
-      const params = {
-        page: pagination.page,
-        limit: pagination.limit
-      };
-      if (selectedFormId) {
-        params.formId = selectedFormId;
-      }
-      if (search) {
-        params.search = search;
-      }
-      if (dateFrom) {
-        params.dateFrom = dateFrom;
-      }
-      if (dateTo) {
-        params.dateTo = dateTo;
-      }
-      if (sortBy) {
-        params.sortBy = sortBy;
-      }
-      if (sortOrder) {
-        params.sortOrder = sortOrder;
-      }
+      const params = buildSubmissionParams(getCurrentFilters());
       const response = await submissionsAPI.getAll(params);
       setSubmissions(response.data.submissions);
       setPagination(response.data.pagination);
@@ -90,13 +229,35 @@ export default function Submissions() {
     // fetchSubmissions will be triggered by useEffect
   };
 
+  // Clicking a column header sorts by it; clicking again flips the order
+  const handleSort = (key) => {
+    if (key === sortBy) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(key);
+      setSortOrder(key.startsWith('answers.') ? 'asc' : 'desc');
+    }
+    handleFilterChange();
+  };
+
+  const sortColumn = sortBy.startsWith('answers.')
+    ? answerColumns.find(column => `answers.${column.name}` === sortBy)
+    : null;
+
+  // Keeps the populated form reference, which review updates don't return
+  const replaceSubmission = (updated) => {
+    setSubmissions(prev => prev.map(submission =>
+      submission._id === updated._id ? { ...submission, ...updated, formId: submission.formId } : submission
+    ));
+  };
+
   const handleExportCSV = async () => {
     if (!selectedFormId) {
       alert('Please select a form to export');
       return;
     }
 
-    setExporting(true);
+    setExporting('csv');
     try {
       const response = await submissionsAPI.exportCSV(selectedFormId);
       const blob = new Blob([response.data], { type: 'text/csv' });
@@ -113,18 +274,176 @@ export default function Submissions() {
     } catch (error) {
       alert('Error exporting CSV. Please try again.');
     } finally {
-      setExporting(false);
+      setExporting(null);
     }
   };
 
-  const formatAnswerValue = (value) => {
-    if (value === null || value === undefined) return '-';
-    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
-    if (Array.isArray(value)) return value.join(', ');
-    if (typeof value === 'object') return JSON.stringify(value);
-    return String(value);
+  // Excel and JSON exports contain exactly the submissions matching the
+  // current form, search, date range and sort, across all pages
+  const handleExportFiltered = async (format, items = null) => {
+    setExporting(format);
+    try {
+      const matching = items || await fetchAllSubmissions(getCurrentFilters());
+      const form = forms.find(f => f._id === selectedFormId);
+      const fileBase = `submissions_${form ? toFileSlug(form.title) : 'all_forms'}_${Date.now()}`;
+
+      if (format === 'xlsx') {
+        const blob = await buildSubmissionsWorkbook(groupSubmissionsByForm(matching, forms));
+        downloadBlob(blob, `${fileBase}.xlsx`);
+      } else {
+        downloadBlob(toNDJSON(matching), `${fileBase}.ndjson`, 'application/x-ndjson');
+      }
+    } catch (error) {
+      alert(`Error exporting ${format === 'xlsx' ? 'Excel file' : 'JSON'}. Please try again.`);
+    } finally {
+      setExporting(null);
+    }
   };
 
+  // Every attachment of the selected form's filtered submissions, one folder
+  // per submission
+  const handleDownloadAttachments = async () => {
+    setExporting('zip');
+    try {
+      const matching = await fetchAllSubmissions(getCurrentFilters());
+      const { blob, count, failed } = await buildAttachmentsZip(selectedForm, matching, async (submission, name, file) => {
+        const response = await submissionsAPI.downloadFile(submission._id, name, file.index);
+        return response.data;
+      });
+      if (!blob) {
+        alert(failed.length > 0
+          ? 'None of the attachments could be downloaded. Please try again.'
+          : 'The filtered submissions have no attachments.');
+        return;
+      }
+      downloadBlob(blob, `attachments_${toFileSlug(selectedForm.title)}_${Date.now()}.zip`);
+      if (failed.length > 0) {
+        alert(`Downloaded ${count} attachment${count !== 1 ? 's' : ''}. ${failed.length} could not be downloaded:\n${failed.join('\n')}`);
+      }
+    } catch (error) {
+      alert('Error downloading attachments. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const selectedIds = useMemo(() => new Set(Object.keys(selection.items)), [selection]);
+  const selectedCount = selection.allMatching ? pagination.total : selectedIds.size;
+  const pageSelected = submissions.length > 0 && submissions.every(submission => selectedIds.has(submission._id));
+
+  const clearSelection = () => setSelection({ allMatching: false, items: {} });
+
+  const toggleSelect = (submission) => {
+    setSelection(prev => {
+      const items = { ...prev.items };
+      if (items[submission._id]) {
+        delete items[submission._id];
+      } else {
+        items[submission._id] = submission;
+      }
+      return { allMatching: false, items };
+    });
+  };
+
+  const togglePage = () => {
+    setSelection(prev => {
+      const items = { ...prev.items };
+      submissions.forEach(submission => {
+        if (pageSelected) {
+          delete items[submission._id];
+        } else {
+          items[submission._id] = submission;
+        }
+      });
+      return { allMatching: false, items };
+    });
+  };
+
+  const getBulkSelection = () =>
+    buildBulkSelection(getCurrentFilters(), { allMatching: selection.allMatching, ids: [...selectedIds] });
+
+  // Runs a bulk update and reloads the page; resolves true on success
+  const runBulkUpdate = async (changes) => {
+    setBulkBusy(true);
+    try {
+      await submissionsAPI.bulkUpdate(getBulkSelection(), changes);
+      await fetchSubmissions();
+      return true;
+    } catch (error) {
+      if (error.response?.status === 401) {
+        router.push('/admin/login');
+      } else {
+        alert(error.response?.data?.error || error.response?.data?.message || 'Error updating submissions. Please try again.');
+      }
+      return false;
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const handleBulkDelete = async () => {
+    if (!confirm(`Delete ${selectedCount} submission${selectedCount !== 1 ? 's' : ''}? You can undo this for a few seconds.`)) {
+      return;
+    }
+    setBulkBusy(true);
+    try {
+      const response = await submissionsAPI.bulkDelete(getBulkSelection());
+      const ids = response.data?.deletedIds;
+      clearSelection();
+      clearTimeout(undoTimer.current);
+      // Undo restores exactly what the server deleted. A filter selection can
+      // reach rows never loaded here, so without deletedIds undo is not offered.
+      if (Array.isArray(ids)) {
+        setUndoDelete({ ids, count: response.data.count ?? ids.length });
+        undoTimer.current = setTimeout(() => setUndoDelete(null), UNDO_WINDOW_MS);
+      } else {
+        setUndoDelete(null);
+      }
+      await fetchSubmissions();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        router.push('/admin/login');
+      } else {
+        alert(error.response?.data?.error || error.response?.data?.message || 'Error deleting submissions. Please try again.');
+      }
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const handleUndoDelete = async () => {
+    const { ids } = undoDelete;
+    clearTimeout(undoTimer.current);
+    setUndoDelete(null);
+    try {
+      await submissionsAPI.bulkRestore(ids);
+      await fetchSubmissions();
+    } catch (error) {
+      alert(error.response?.data?.error || error.response?.data?.message || 'Error restoring submissions. Please try again.');
+    }
+  };
+
+  const handleExportSelection = (format) =>
+    handleExportFiltered(format, selection.allMatching ? null : Object.values(selection.items));
+
+  const renderExportLabel = (format, label) =>
+    exporting === format ? (
+      <span className="flex items-center">
+        <svg className="animate-spin -ml-1 mr-2 h-4 w-4" fill="none" viewBox="0 0 24 24">
+          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+        </svg>
+        Exporting...
+      </span>
+    ) : (
+      <>
+        <svg className="inline-block h-4 w-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+        </svg>
+        {label}
+      </>
+    );
+
   return (
     <Layout isAdmin={true}>
       <div className="space-y-4 sm:space-y-6">
@@ -133,30 +452,43 @@ export default function Submissions() {
             <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Submissions</h1>
             <p className="mt-1 text-sm text-gray-500">View and manage form submissions</p>
           </div>
-          {selectedFormId && (
+          <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+            {selectedFormId && (
+              <button
+                onClick={handleExportCSV}
+                disabled={exporting !== null}
+                className="btn-primary whitespace-nowrap w-full sm:w-auto"
+              >
+                {renderExportLabel('csv', 'Export CSV')}
+              </button>
+            )}
             <button
-              onClick={handleExportCSV}
-              disabled={exporting}
-              className="btn-primary whitespace-nowrap w-full sm:w-auto"
+              onClick={() => handleExportFiltered('xlsx')}
+              disabled={exporting !== null || pagination.total === 0}
+              className="btn-secondary whitespace-nowrap w-full sm:w-auto disabled:opacity-50"
+              title="Export the filtered submissions, one sheet per form"
             >
-              {exporting ? (
-                <span className="flex items-center">
-                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Exporting...
-                </span>
-              ) : (
-                <>
-                  <svg className="inline-block h-4 w-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                  </svg>
-                  Export CSV
-                </>
-              )}
+              {renderExportLabel('xlsx', 'Export Excel')}
             </button>
-          )}
+            <button
+              onClick={() => handleExportFiltered('ndjson')}
+              disabled={exporting !== null || pagination.total === 0}
+              className="btn-secondary whitespace-nowrap w-full sm:w-auto disabled:opacity-50"
+              title="Export the filtered submissions as newline-delimited JSON"
+            >
+              {renderExportLabel('ndjson', 'Export JSON')}
+            </button>
+            {hasFileFields && (
+              <button
+                onClick={handleDownloadAttachments}
+                disabled={exporting !== null || pagination.total === 0}
+                className="btn-secondary whitespace-nowrap w-full sm:w-auto disabled:opacity-50"
+                title="Download the files uploaded to the filtered submissions as a ZIP"
+              >
+                {renderExportLabel('zip', 'Download Attachments')}
+              </button>
+            )}
+          </div>
         </div>
 
         {error && (
@@ -173,6 +505,9 @@ export default function Submissions() {
                 value={selectedFormId}
                 onChange={(e) => {
                   setSelectedFormId(e.target.value);
+                  // Answer columns belong to the previous form
+                  setAnswerFilters([]);
+                  if (sortBy.startsWith('answers.')) setSortBy('submittedAt');
                   setPagination(prev => ({ ...prev, page: 1 }));
                 }}
                 className="input-field w-full"
@@ -210,6 +545,9 @@ export default function Submissions() {
               >
                 <option value="submittedAt">Submitted Date</option>
                 <option value="createdAt">Created Date</option>
+                {sortBy.startsWith('answers.') && (
+                  <option value={sortBy}>Answer: {sortColumn?.label || sortBy.slice('answers.'.length)}</option>
+                )}
               </select>
             </div>
 
@@ -253,9 +591,58 @@ export default function Submissions() {
                 className="input-field w-full"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+              <select
+                value={status}
+                onChange={(e) => {
+                  setStatus(e.target.value);
+                  handleFilterChange();
+                }}
+                className="input-field w-full"
+              >
+                <option value="">All Statuses</option>
+                {REVIEW_STATUSES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Assigned To</label>
+              <select
+                value={assignee}
+                onChange={(e) => {
+                  setAssignee(e.target.value);
+                  handleFilterChange();
+                }}
+                className="input-field w-full"
+              >
+                <option value="">Anyone</option>
+                <option value={UNASSIGNED}>Unassigned</option>
+                {assignee && assignee !== UNASSIGNED && !admins.some(admin => admin._id === assignee) && (
+                  <option value={assignee}>Unknown admin</option>
+                )}
+                {admins.map(admin => (
+                  <option key={admin._id} value={admin._id}>{getAdminName(admin)}</option>
+                ))}
+              </select>
+            </div>
           </div>
 
-          {(search || dateFrom || dateTo || selectedFormId) && (
+          {selectedForm && (
+            <AnswerFilterBuilder
+              columns={answerColumns}
+              filters={answerFilters}
+              onApply={(next) => {
+                setAnswerFilters(next);
+                handleFilterChange();
+              }}
+            />
+          )}
+
+          {(search || dateFrom || dateTo || selectedFormId || answerFilters.length > 0 || status || assignee) && (
             <div className="flex items-center gap-2 pt-2 border-t border-gray-200">
               <button
                 onClick={() => {
@@ -265,6 +652,9 @@ export default function Submissions() {
                   setSelectedFormId('');
                   setSortBy('submittedAt');
                   setSortOrder('desc');
+                  setAnswerFilters([]);
+                  setStatus('');
+                  setAssignee('');
                   setPagination(prev => ({ ...prev, page: 1 }));
                 }}
                 className="text-sm text-blue-600 hover:text-blue-800 underline"
@@ -275,12 +665,30 @@ export default function Submissions() {
           )}
         </div>
 
-        {loading ? (
+        {selectedCount > 0 && (
+          <SubmissionBulkActions
+            selectedCount={selectedCount}
+            allMatching={selection.allMatching}
+            total={pagination.total}
+            canSelectAllMatching={pageSelected && pagination.total > selectedIds.size}
+            busy={bulkBusy || exporting !== null}
+            onSelectAllMatching={() => setSelection(prev => ({ ...prev, allMatching: true }))}
+            onClear={clearSelection}
+            onMarkReviewed={(reviewed) => runBulkUpdate({ reviewed })}
+            onAddTags={(tags) => runBulkUpdate({ addTags: tags })}
+            onRemoveTags={(tags) => runBulkUpdate({ removeTags: tags })}
+            onExport={handleExportSelection}
+            onDelete={handleBulkDelete}
+          />
+        )}
+
+        {/* Keep the answer table mounted while reloading so its column filters keep focus */}
+        {loading && !selectedForm ? (
           <div className="text-center py-12 sm:py-16">
             <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
             <p className="mt-4 text-gray-500">Loading submissions...</p>
           </div>
-        ) : submissions.length === 0 ? (
+        ) : submissions.length === 0 && answerFilters.length === 0 ? (
           <div className="card p-8 sm:p-12 text-center">
             <svg className="mx-auto h-12 w-12 sm:h-16 sm:w-16 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -295,74 +703,156 @@ export default function Submissions() {
             {/* Mobile Card View */}
             <div className="block md:hidden space-y-4">
               {submissions.map((submission) => (
-                <div key={submission._id} className="card p-4">
-                  <div className="flex items-start justify-between mb-3">
+                <div key={submission._id} className={`card p-4 ${selectedIds.has(submission._id) ? 'ring-2 ring-blue-400' : ''}`}>
+                  <div className="flex items-start gap-3 mb-3">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(submission._id)}
+                      onChange={() => toggleSelect(submission)}
+                      className="mt-0.5 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                      aria-label="Select submission"
+                    />
                     <div className="flex-1 min-w-0">
                       <h3 className="text-sm font-semibold text-gray-900 truncate">
                         {submission.formId?.title || 'N/A'}
+                        {renderVersionBadge(submission)}
                       </h3>
                       <p className="text-xs text-gray-500 mt-1">
                         {new Date(submission.submittedAt).toLocaleString()}
                       </p>
+                      <SubmissionBadges submission={submission} />
                     </div>
                   </div>
                   <div className="space-y-2 pt-3 border-t border-gray-100">
                     {submission.answers.map((answer, idx) => (
                       <div key={idx} className="text-xs sm:text-sm">
-                        <span className="font-medium text-gray-700">{answer.name}:</span>{' '}
-                        <span className="text-gray-600">{formatAnswerValue(answer.value)}</span>
+                        <span className="font-medium text-gray-700">{getAnswerLabel(submission, answer.name)}:</span>{' '}
+                        <span className="text-gray-600">{renderAnswerValue(submission, answer)}</span>
                       </div>
                     ))}
                   </div>
+                  <div className="mt-3 pt-3 border-t border-gray-100">
+                    <SubmissionReviewControls submission={submission} admins={admins} onUpdated={replaceSubmission} compact />
+                  </div>
                   {submission.ip && (
                     <div className="mt-3 pt-3 border-t border-gray-100 text-xs text-gray-500">
                       IP: {submission.ip}
                     </div>
                   )}
+                  <div className="mt-3 pt-3 border-t border-gray-100">
+                    <button
+                      onClick={() => openSubmission(submission._id)}
+                      className="w-full px-3 py-2 text-xs sm:text-sm font-medium text-indigo-600 bg-indigo-50 rounded-md hover:bg-indigo-100"
+                    >
+                      View Details
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
 
             {/* Desktop Table View */}
-            <div className="hidden md:block card overflow-hidden">
-              <div className="overflow-x-auto">
-                <table className="min-w-full divide-y divide-gray-200">
-                  <thead className="bg-gray-50">
-                    <tr>
-                      <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Form</th>
-                      <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Submitted At</th>
-                      <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP Address</th>
-                      <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Answers</th>
-                    </tr>
-                  </thead>
-                  <tbody className="bg-white divide-y divide-gray-200">
-                    {submissions.map((submission) => (
-                      <tr key={submission._id} className="hover:bg-gray-50 transition-colors">
-                        <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                          {submission.formId?.title || 'N/A'}
-                        </td>
-                        <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                          {new Date(submission.submittedAt).toLocaleString()}
-                        </td>
-                        <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                          {submission.ip || '-'}
-                        </td>
-                        <td className="px-4 lg:px-6 py-4 text-sm text-gray-500">
-                          <div className="space-y-1 max-w-md">
-                            {submission.answers.map((answer, idx) => (
-                              <div key={idx}>
-                                <span className="font-medium text-gray-700">{answer.name}:</span>{' '}
-                                <span className="text-gray-600">{formatAnswerValue(answer.value)}</span>
-                              </div>
-                            ))}
-                          </div>
-                        </td>
+            {selectedForm ? (
+              <div className="hidden md:block">
+                <SubmissionAnswerTable
+                  formId={selectedFormId}
+                  columns={answerColumns}
+                  submissions={submissions}
+                  sortBy={sortBy}
+                  sortOrder={sortOrder}
+                  onSort={handleSort}
+                  answerFilters={answerFilters}
+                  onAnswerFiltersChange={(next) => {
+                    setAnswerFilters(next);
+                    handleFilterChange();
+                  }}
+                  onOpen={openSubmission}
+                  loading={loading}
+                  selectedIds={selectedIds}
+                  onToggleSelect={toggleSelect}
+                  onTogglePage={togglePage}
+                  renderReview={(submission) => (
+                    <SubmissionReviewControls submission={submission} admins={admins} onUpdated={replaceSubmission} compact />
+                  )}
+                />
+              </div>
+            ) : (
+              <div className="hidden md:block card overflow-hidden">
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="pl-4 lg:pl-6 py-3 w-8">
+                          <input
+                            type="checkbox"
+                            checked={pageSelected}
+                            onChange={togglePage}
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                            aria-label="Select all on this page"
+                          />
+                        </th>
+                        <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Form</th>
+                        <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Submitted At</th>
+                        <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Review</th>
+                        <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP Address</th>
+                        <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Answers</th>
+                        <th className="px-4 lg:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
                       </tr>
-                    ))}
-                  </tbody>
-                </table>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {submissions.map((submission) => (
+                        <tr
+                          key={submission._id}
+                          className={`transition-colors ${selectedIds.has(submission._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                        >
+                          <td className="pl-4 lg:pl-6 py-4">
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.has(submission._id)}
+                              onChange={() => toggleSelect(submission)}
+                              className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                              aria-label="Select submission"
+                            />
+                          </td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            {submission.formId?.title || 'N/A'}
+                            {renderVersionBadge(submission)}
+                            <SubmissionBadges submission={submission} />
+                          </td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {new Date(submission.submittedAt).toLocaleString()}
+                          </td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            <SubmissionReviewControls submission={submission} admins={admins} onUpdated={replaceSubmission} compact />
+                          </td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {submission.ip || '-'}
+                          </td>
+                          <td className="px-4 lg:px-6 py-4 text-sm text-gray-500">
+                            <div className="space-y-1 max-w-md">
+                              {submission.answers.map((answer, idx) => (
+                                <div key={idx}>
+                                  <span className="font-medium text-gray-700">{getAnswerLabel(submission, answer.name)}:</span>{' '}
+                                  <span className="text-gray-600">{renderAnswerValue(submission, answer)}</span>
+                                </div>
+                              ))}
+                            </div>
+                          </td>
+                          <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            <button
+                              onClick={() => openSubmission(submission._id)}
+                              className="px-3 py-1.5 text-indigo-600 hover:text-indigo-900 hover:bg-indigo-50 rounded-md transition-colors"
+                            >
+                              View
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
               </div>
-            </div>
+            )}
 
             {pagination.pages > 1 && (
               <div className="flex flex-col sm:flex-row justify-between items-center gap-4 pt-4">
@@ -393,6 +883,17 @@ export default function Submissions() {
           </>
         )}
       </div>
+
+      {undoDelete && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-4 py-3 rounded-lg shadow-lg bg-gray-900 text-white text-sm">
+          <span>
+            Deleted {undoDelete.count} submission{undoDelete.count !== 1 ? 's' : ''}
+          </span>
+          <button onClick={handleUndoDelete} className="font-semibold text-blue-300 hover:text-blue-200">
+            Undo
+          </button>
+        </div>
+      )}
     </Layout>
   );
 }
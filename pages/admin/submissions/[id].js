@@ -0,0 +1,352 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../../../components/Layout';
+import SubmissionReviewControls from '../../../components/SubmissionReviewControls';
+import SubmissionNotes from '../../../components/SubmissionNotes';
+import FileAnswer from '../../../components/FileAnswer';
+import { submissionsAPI, formsAPI, adminAPI } from '../../../lib/api';
+import { formatAnswerValue, groupAnswersByField } from '../../../lib/submissionAnswers';
+import { buildSubmissionParams, filtersFromQuery, filtersToQuery } from '../../../lib/submissionFilters';
+
+export default function SubmissionDetail() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [submission, setSubmission] = useState(null);
+  const [form, setForm] = useState(null);
+  const [versionForm, setVersionForm] = useState(null); // Definition at submission.formVersion, when not current
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notFound, setNotFound] = useState(false);
+  const [neighbors, setNeighbors] = useState({ prev: null, next: null, position: null, total: 0 });
+  const [admins, setAdmins] = useState([]);
+
+  useEffect(() => {
+    const token = localStorage.getItem('adminToken');
+    if (!token) {
+      router.push('/admin/login');
+      return;
+    }
+    if (id) {
+      fetchSubmission();
+      fetchNeighbors();
+    }
+  }, [id, router]);
+
+  useEffect(() => {
+    adminAPI.getAll()
+      .then(response => setAdmins(response.data))
+      // Without the list the current assignee is still shown
+      .catch(() => setAdmins([]));
+  }, []);
+
+  const fetchSubmission = async () => {
+    setLoading(true);
+    setError('');
+    setNotFound(false);
+    try {
+      const response = await submissionsAPI.getById(id);
+      setSubmission(response.data);
+
+      // formId may come back populated or as a plain id
+      const formId = response.data.formId?._id || response.data.formId;
+      if (formId) {
+        try {
+          const formResponse = await formsAPI.getById(formId);
+          setForm(formResponse.data);
+
+          // Answers are labelled with the definition they were filled against
+          const { formVersion } = response.data;
+          if (formVersion !== undefined && formVersion !== null && formVersion !== formResponse.data.version) {
+            try {
+              const versionResponse = await formsAPI.getVersion(formId, formVersion);
+              setVersionForm(versionResponse.data);
+            } catch (versionError) {
+              setVersionForm(null);
+            }
+          } else {
+            setVersionForm(null);
+          }
+        } catch (formError) {
+          // The form may have been purged; answers are still shown by name
+          setForm(null);
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching submission:', error);
+      if (error.response?.status === 401) {
+        router.push('/admin/login');
+      } else if (error.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        setError('Failed to load submission. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Finds the submissions either side of this one using the same filters as the list
+  const fetchNeighbors = async () => {
+    const filters = filtersFromQuery(router.query);
+    try {
+      const response = await submissionsAPI.getAll(buildSubmissionParams(filters));
+      const { submissions: items, pagination } = response.data;
+      const index = items.findIndex(s => s._id === id);
+      if (index === -1) {
+        setNeighbors({ prev: null, next: null, position: null, total: pagination?.total || 0 });
+        return;
+      }
+
+      const result = {
+        prev: null,
+        next: null,
+        position: (filters.page - 1) * filters.limit + index + 1,
+        total: pagination?.total || items.length
+      };
+
+      if (index > 0) {
+        result.prev = { id: items[index - 1]._id, page: filters.page };
+      } else if (filters.page > 1) {
+        const prevPage = await submissionsAPI.getAll(buildSubmissionParams({ ...filters, page: filters.page - 1 }));
+        const prevItems = prevPage.data.submissions;
+        if (prevItems.length > 0) {
+          result.prev = { id: prevItems[prevItems.length - 1]._id, page: filters.page - 1 };
+        }
+      }
+
+      if (index < items.length - 1) {
+        result.next = { id: items[index + 1]._id, page: filters.page };
+      } else if (pagination && filters.page < pagination.pages) {
+        const nextPage = await submissionsAPI.getAll(buildSubmissionParams({ ...filters, page: filters.page + 1 }));
+        const nextItems = nextPage.data.submissions;
+        if (nextItems.length > 0) {
+          result.next = { id: nextItems[0]._id, page: filters.page + 1 };
+        }
+      }
+
+      setNeighbors(result);
+    } catch (error) {
+      // Navigation is a convenience; the detail view still works without it
+      console.error('Error fetching neighboring submissions:', error);
+    }
+  };
+
+  const goToSubmission = (target) => {
+    const filters = filtersFromQuery(router.query);
+    router.push({
+      pathname: `/admin/submissions/${target.id}`,
+      query: filtersToQuery({ ...filters, page: target.page })
+    });
+  };
+
+  const backToList = () => {
+    router.push({
+      pathname: '/admin/submissions',
+      query: filtersToQuery(filtersFromQuery(router.query))
+    });
+  };
+
+  // File answers link to their uploads, previewing images and PDFs inline
+  const renderValue = (value, hasAnswer, field, name) => {
+    if (!hasAnswer) {
+      return <span className="text-gray-400 italic">No answer</span>;
+    }
+    if (field?.type === 'file' && formatAnswerValue(value) !== '-') {
+      return <FileAnswer submissionId={submission._id} fieldName={name} value={value} preview />;
+    }
+    const formatted = formatAnswerValue(value);
+    return formatted === '' ? <span className="text-gray-400 italic">Left blank</span> : formatted;
+  };
+
+  if (loading) {
+    return (
+      <Layout isAdmin={true}>
+        <div className="text-center py-12 sm:py-16">
+          <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+          <p className="mt-4 text-gray-500">Loading submission...</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (notFound || (!submission && !error)) {
+    return (
+      <Layout isAdmin={true}>
+        <div className="text-center py-12 sm:py-16">
+          <svg className="mx-auto h-12 w-12 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+          <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-2">Submission Not Found</h2>
+          <p className="text-gray-500 mb-6">This submission does not exist or has been deleted.</p>
+          <button onClick={backToList} className="btn-primary">
+            Back to Submissions
+          </button>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (error) {
+    return (
+      <Layout isAdmin={true}>
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-sm text-red-700">{error}</p>
+          <button
+            onClick={fetchSubmission}
+            className="mt-3 text-sm font-medium text-red-800 hover:text-red-900 underline"
+          >
+            Try again
+          </button>
+        </div>
+      </Layout>
+    );
+  }
+
+  const definition = versionForm || form;
+  const { rows, unmatched } = groupAnswersByField(definition?.fields || [], submission.answers || []);
+  const formTitle = form?.title || submission.formId?.title || 'Unknown form';
+  // Submissions from before versioning don't record which definition they saw
+  const formVersion = submission.formVersion;
+  const isOlderVersion = form && submission.formVersion !== undefined && submission.formVersion !== null &&
+    submission.formVersion !== form.version;
+
+  return (
+    <Layout isAdmin={true}>
+      <div className="space-y-4 sm:space-y-6">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <button
+              onClick={backToList}
+              className="text-sm text-blue-600 hover:text-blue-800 flex items-center mb-2"
+            >
+              <svg className="h-4 w-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              Back to Submissions
+            </button>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">{formTitle}</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Submitted {new Date(submission.submittedAt).toLocaleString()}
+            </p>
+          </div>
+          <div className="flex items-center gap-2 w-full sm:w-auto">
+            <button
+              onClick={() => goToSubmission(neighbors.prev)}
+              disabled={!neighbors.prev}
+              className="btn-secondary flex-1 sm:flex-none disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            {neighbors.position && (
+              <span className="text-sm text-gray-700 px-2 whitespace-nowrap">
+                {neighbors.position} / {neighbors.total}
+              </span>
+            )}
+            <button
+              onClick={() => goToSubmission(neighbors.next)}
+              disabled={!neighbors.next}
+              className="btn-secondary flex-1 sm:flex-none disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 sm:gap-6">
+          <div className="lg:col-span-2 space-y-4 sm:space-y-6">
+            <div className="card p-4 sm:p-6">
+              <h2 className="text-lg sm:text-xl font-semibold text-gray-900 mb-4">Answers</h2>
+              {!form && (
+                <p className="mb-4 text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded p-2">
+                  The form definition could not be loaded, so answers are listed by field name.
+                </p>
+              )}
+              {isOlderVersion && (
+                <p className="mb-4 text-xs text-blue-700 bg-blue-50 border border-blue-200 rounded p-2">
+                  {versionForm
+                    ? `Answered against version ${submission.formVersion}; the form is now on version ${form.version}. Labels below are from version ${submission.formVersion}.`
+                    : `Answered against version ${submission.formVersion}, which could not be loaded. Labels below are from the current version ${form.version}.`}
+                </p>
+              )}
+              <dl className="divide-y divide-gray-100">
+                {rows.map(({ field, name, value, hasAnswer, conditional }) => (
+                  <div key={field.name} className="py-3 sm:py-4">
+                    <dt className="text-sm font-medium text-gray-700">{field.label}</dt>
+                    <dd className="mt-1 text-sm sm:text-base text-gray-900 break-words whitespace-pre-wrap">
+                      {renderValue(value, hasAnswer, field, name)}
+                    </dd>
+                    {conditional.map(group => (
+                      <div
+                        key={group.option}
+                        className={`mt-3 ml-4 sm:ml-6 pl-4 border-l-2 space-y-3 ${
+                          group.selected ? 'border-blue-200' : 'border-gray-200 opacity-75'
+                        }`}
+                      >
+                        <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          When &ldquo;{group.option}&rdquo; is selected
+                        </p>
+                        {group.items.map(item => (
+                          <div key={item.field.name}>
+                            <dt className="text-sm font-medium text-gray-700">{item.field.label}</dt>
+                            <dd className="mt-0.5 text-sm text-gray-900 break-words whitespace-pre-wrap">
+                              {renderValue(item.value, item.hasAnswer, item.field, item.name)}
+                            </dd>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+                {unmatched.map((answer, idx) => (
+                  <div key={`${answer.name}-${idx}`} className="py-3 sm:py-4">
+                    <dt className="text-sm font-medium text-gray-700 font-mono">{answer.name}</dt>
+                    <dd className="mt-1 text-sm sm:text-base text-gray-900 break-words whitespace-pre-wrap">
+                      {formatAnswerValue(answer.value)}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+
+            <SubmissionNotes submission={submission} onUpdated={setSubmission} />
+          </div>
+
+          <div className="space-y-4 sm:space-y-6 h-fit">
+            <div className="card p-4 sm:p-6">
+              <h2 className="text-lg sm:text-xl font-semibold text-gray-900 mb-4">Review</h2>
+              <SubmissionReviewControls submission={submission} admins={admins} onUpdated={setSubmission} />
+            </div>
+
+            <div className="card p-4 sm:p-6">
+              <h2 className="text-lg sm:text-xl font-semibold text-gray-900 mb-4">Details</h2>
+              <dl className="space-y-3 text-sm">
+                <div>
+                  <dt className="text-gray-500">Submitted At</dt>
+                  <dd className="text-gray-900">{new Date(submission.submittedAt).toLocaleString()}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">IP Address</dt>
+                  <dd className="text-gray-900 font-mono">{submission.ip || '-'}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Form Version</dt>
+                  <dd className="text-gray-900">{formVersion !== undefined && formVersion !== null ? `v${formVersion}` : 'Unknown'}</dd>
+                </div>
+                {submission.userAgent && (
+                  <div>
+                    <dt className="text-gray-500">User Agent</dt>
+                    <dd className="text-gray-900 text-xs break-words">{submission.userAgent}</dd>
+                  </div>
+                )}
+                <div>
+                  <dt className="text-gray-500">Submission ID</dt>
+                  <dd className="text-gray-900 font-mono text-xs break-all">{submission._id}</dd>
+                </div>
+              </dl>
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,371 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../../components/Layout';
+import AdminCredentialsDialog from '../../components/AdminCredentialsDialog';
+import { adminAPI } from '../../lib/api';
+import { getCurrentAdmin } from '../../lib/adminSession';
+import {
+  MIN_PASSWORD_LENGTH,
+  isAdminActive,
+  generateTemporaryPassword,
+  validateAdminInvite,
+  getDeactivateBlocker
+} from '../../lib/adminUsers';
+
+const emptyInvite = () => ({ username: '', email: '', password: generateTemporaryPassword() });
+
+export default function AdminUsers() {
+  const router = useRouter();
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [currentAdmin, setCurrentAdmin] = useState(null);
+  const [showInvite, setShowInvite] = useState(false);
+  const [invite, setInvite] = useState({ username: '', email: '', password: '' });
+  const [inviteErrors, setInviteErrors] = useState({});
+  const [inviting, setInviting] = useState(false);
+  const [busyId, setBusyId] = useState(null); // Admin being deactivated, reactivated or reset
+  const [credentials, setCredentials] = useState(null); // { title, username, password }
+
+  useEffect(() => {
+    const token = localStorage.getItem('adminToken');
+    if (!token) {
+      router.push('/admin/login');
+      return;
+    }
+    setCurrentAdmin(getCurrentAdmin());
+    fetchAdmins();
+  }, [router]);
+
+  const fetchAdmins = async () => {
+    setError('');
+    try {
+      const response = await adminAPI.getAll();
+      setAdmins(response.data);
+    } catch (error) {
+      if (error.response?.status === 401) {
+        router.push('/admin/login');
+      } else {
+        setError('Failed to load admins. Please try again.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isCurrent = (admin) =>
+    !!currentAdmin && (admin._id === currentAdmin.id || admin.username === currentAdmin.username);
+
+  const openInvite = () => {
+    setInvite(emptyInvite());
+    setInviteErrors({});
+    setShowInvite(true);
+  };
+
+  const updateInvite = (changes) => {
+    setInvite(prev => ({ ...prev, ...changes }));
+    setInviteErrors(prev => {
+      const next = { ...prev };
+      Object.keys(changes).forEach(key => delete next[key]);
+      return next;
+    });
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const errors = validateAdminInvite(invite, admins);
+    setInviteErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const data = { username: invite.username.trim(), password: invite.password };
+    if (invite.email.trim()) data.email = invite.email.trim();
+
+    setInviting(true);
+    try {
+      await adminAPI.createAdmin(data);
+      setShowInvite(false);
+      setCredentials({ title: 'Admin Invited', username: data.username, password: data.password });
+      fetchAdmins();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        router.push('/admin/login');
+      } else {
+        setInviteErrors({
+          form: error.response?.data?.error || error.response?.data?.message || 'Error inviting admin. Please try again.'
+        });
+      }
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleToggleActive = async (admin) => {
+    const active = isAdminActive(admin);
+    if (active) {
+      const blocker = getDeactivateBlocker(admin, admins, currentAdmin);
+      if (blocker) {
+        alert(blocker);
+        return;
+      }
+      if (!confirm(`Deactivate ${admin.username}?\n\nThey will no longer be able to sign in. Their notes and assignments are kept, and the account can be reactivated later.`)) {
+        return;
+      }
+    }
+
+    setBusyId(admin._id);
+    try {
+      const response = await adminAPI.update(admin._id, { isActive: !active });
+      setAdmins(prev => prev.map(item =>
+        item._id === admin._id ? { ...item, ...(response.data || {}), isActive: !active } : item
+      ));
+    } catch (error) {
+      alert(error.response?.data?.error || `Error ${active ? 'deactivating' : 'reactivating'} admin. Please try again.`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleResetPassword = async (admin) => {
+    if (!confirm(`Reset the password for ${admin.username}?\n\nA new temporary password is generated and the current one stops working.`)) {
+      return;
+    }
+
+    const password = generateTemporaryPassword();
+    setBusyId(admin._id);
+    try {
+      await adminAPI.resetPassword(admin._id, password);
+      setCredentials({ title: 'Password Reset', username: admin.username, password });
+    } catch (error) {
+      alert(error.response?.data?.error || 'Error resetting password. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderStatus = (admin) => (
+    <span className={`px-2 py-1 inline-flex text-xs font-semibold rounded-full whitespace-nowrap ${
+      isAdminActive(admin) ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+    }`}>
+      {isAdminActive(admin) ? 'Active' : 'Deactivated'}
+    </span>
+  );
+
+  const renderName = (admin) => (
+    <>
+      <span className="font-medium text-gray-900">{admin.username}</span>
+      {isCurrent(admin) && (
+        <span className="ml-2 px-1.5 py-0.5 text-xs font-medium rounded bg-blue-100 text-blue-700">You</span>
+      )}
+    </>
+  );
+
+  const renderActions = (admin, buttonClass) => (
+    <>
+      <button
+        onClick={() => handleResetPassword(admin)}
+        disabled={busyId === admin._id || !isAdminActive(admin)}
+        className={`${buttonClass} text-indigo-600 hover:text-indigo-900 hover:bg-indigo-50 disabled:opacity-50`}
+      >
+        Reset Password
+      </button>
+      <button
+        onClick={() => handleToggleActive(admin)}
+        disabled={busyId === admin._id}
+        className={`${buttonClass} disabled:opacity-50 ${
+          isAdminActive(admin)
+            ? 'text-red-600 hover:text-red-900 hover:bg-red-50'
+            : 'text-green-600 hover:text-green-900 hover:bg-green-50'
+        }`}
+      >
+        {busyId === admin._id ? 'Updating...' : (isAdminActive(admin) ? 'Deactivate' : 'Reactivate')}
+      </button>
+    </>
+  );
+
+  return (
+    <Layout isAdmin={true}>
+      <div className="space-y-4 sm:space-y-6">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Users</h1>
+            <p className="mt-1 text-sm text-gray-500">Manage who can sign in to the admin panel</p>
+          </div>
+          {!showInvite && (
+            <button onClick={openInvite} className="btn-primary whitespace-nowrap w-full sm:w-auto">
+              Invite Admin
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <p className="text-sm text-red-700">{error}</p>
+            <button
+              onClick={fetchAdmins}
+              className="mt-3 text-sm font-medium text-red-800 hover:text-red-900 underline"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {showInvite && (
+          <form onSubmit={handleInvite} className="card p-4 sm:p-6 space-y-4" noValidate>
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Invite Admin</h2>
+              <p className="text-sm text-gray-500">
+                The new admin signs in with this temporary password; you&apos;ll be able to copy it once the account is created.
+              </p>
+            </div>
+
+            {inviteErrors.form && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                <p className="text-sm text-red-700">{inviteErrors.form}</p>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="invite-username" className="block text-sm font-medium text-gray-700 mb-1.5">
+                  Username <span className="text-red-500">*</span>
+                </label>
+                <input
+                  id="invite-username"
+                  type="text"
+                  autoComplete="off"
+                  value={invite.username}
+                  onChange={(e) => updateInvite({ username: e.target.value })}
+                  className={`input-field ${inviteErrors.username ? 'input-error' : ''}`}
+                />
+                {inviteErrors.username && <p className="mt-1 text-xs text-red-600">{inviteErrors.username}</p>}
+              </div>
+              <div>
+                <label htmlFor="invite-email" className="block text-sm font-medium text-gray-700 mb-1.5">
+                  Email
+                </label>
+                <input
+                  id="invite-email"
+                  type="email"
+                  autoComplete="off"
+                  value={invite.email}
+                  onChange={(e) => updateInvite({ email: e.target.value })}
+                  className={`input-field ${inviteErrors.email ? 'input-error' : ''}`}
+                  placeholder="Optional"
+                />
+                {inviteErrors.email && <p className="mt-1 text-xs text-red-600">{inviteErrors.email}</p>}
+              </div>
+              <div>
+                <label htmlFor="invite-password" className="block text-sm font-medium text-gray-700 mb-1.5">
+                  Temporary Password <span className="text-red-500">*</span>
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    id="invite-password"
+                    type="text"
+                    autoComplete="new-password"
+                    value={invite.password}
+                    onChange={(e) => updateInvite({ password: e.target.value })}
+                    className={`input-field font-mono ${inviteErrors.password ? 'input-error' : ''}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateInvite({ password: generateTemporaryPassword() })}
+                    className="btn-secondary whitespace-nowrap"
+                    title="Generate a new random password"
+                  >
+                    Generate
+                  </button>
+                </div>
+                {inviteErrors.password ? (
+                  <p className="mt-1 text-xs text-red-600">{inviteErrors.password}</p>
+                ) : (
+                  <p className="mt-1 text-xs text-gray-500">At least {MIN_PASSWORD_LENGTH} characters</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex flex-col-reverse sm:flex-row sm:justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setShowInvite(false)}
+                disabled={inviting}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+              <button type="submit" disabled={inviting} className="btn-primary disabled:opacity-50">
+                {inviting ? 'Inviting...' : 'Invite Admin'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12 sm:py-16">
+            <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+            <p className="mt-4 text-gray-500">Loading admins...</p>
+          </div>
+        ) : admins.length > 0 && (
+          <>
+            {/* Mobile Card View */}
+            <div className="block md:hidden space-y-4">
+              {admins.map(admin => (
+                <div key={admin._id} className="card p-4">
+                  <div className="flex items-start justify-between gap-2 mb-3">
+                    <div className="min-w-0">
+                      <p className="text-base truncate">{renderName(admin)}</p>
+                      <p className="text-sm text-gray-500 truncate">{admin.email || 'No email'}</p>
+                    </div>
+                    {renderStatus(admin)}
+                  </div>
+                  {admin.createdAt && (
+                    <p className="text-xs text-gray-500 mb-3">
+                      Added {new Date(admin.createdAt).toLocaleDateString()}
+                    </p>
+                  )}
+                  <div className="flex gap-2 pt-3 border-t border-gray-100">
+                    {renderActions(admin, 'flex-1 px-3 py-2 text-xs font-medium rounded-md transition-colors')}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {/* Desktop Table View */}
+            <div className="hidden md:block card overflow-hidden">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Username</th>
+                    <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                    <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-4 lg:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Added</th>
+                    <th className="px-4 lg:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {admins.map(admin => (
+                    <tr key={admin._id} className="hover:bg-gray-50 transition-colors">
+                      <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm">{renderName(admin)}</td>
+                      <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">{admin.email || '-'}</td>
+                      <td className="px-4 lg:px-6 py-4 whitespace-nowrap">{renderStatus(admin)}</td>
+                      <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {admin.createdAt ? new Date(admin.createdAt).toLocaleDateString() : '-'}
+                      </td>
+                      <td className="px-4 lg:px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-1">
+                        {renderActions(admin, 'px-3 py-1.5 rounded-md transition-colors')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+
+      {credentials && (
+        <AdminCredentialsDialog {...credentials} onClose={() => setCredentials(null)} />
+      )}
+    </Layout>
+  );
+}
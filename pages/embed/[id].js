@@ -0,0 +1,209 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import Head from "next/head";
+import { useRouter } from "next/router";
+import FormRenderer from "../../components/FormRenderer";
+import UploadStatus from "../../components/UploadStatus";
+import FormConfirmation from "../../components/FormConfirmation";
+import FormUnavailable from "../../components/FormUnavailable";
+import { formsAPI } from "../../lib/api";
+import { buildAnswers } from "../../lib/formSchema";
+import {
+  submitForm,
+  getServerFieldErrors,
+  isSubmitCanceled,
+  isRetryableSubmitError,
+} from "../../lib/formSubmission";
+import { EMBED_EVENTS, postToHost } from "../../lib/embed";
+import { AVAILABILITY, getFormAvailability } from "../../lib/formSchedule";
+
+// Chrome-less version of the public form page for iframes on other sites.
+// Reports its height and submit outcome to the host page (see lib/embed).
+export default function EmbeddedForm() {
+  const router = useRouter();
+  const { id } = router.query;
+  const containerRef = useRef(null);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submittedAnswers, setSubmittedAnswers] = useState(null);
+  const [responseCount, setResponseCount] = useState(0);
+  const [error, setError] = useState("");
+  const [checkedAt, setCheckedAt] = useState(null); // See pages/forms/[id].js
+  const [uploadProgress, setUploadProgress] = useState(null); // 0-1 while files upload
+  const [uploadFailure, setUploadFailure] = useState(null); // "canceled" | "failed"
+  const uploadController = useRef(null);
+
+  useEffect(() => {
+    if (id) {
+      fetchForm();
+    }
+  }, [id]);
+
+  // The host sizes the iframe to fit, so it never needs its own scrollbar
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !id) return;
+    const observer = new ResizeObserver(([entry]) => {
+      postToHost(EMBED_EVENTS.resize, id, {
+        height: Math.ceil(entry.target.getBoundingClientRect().height),
+      });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [id]);
+
+  const fetchForm = async () => {
+    try {
+      setError("");
+      const response = await formsAPI.getById(id);
+      if (!response.data.isActive) {
+        setError("This form is not active");
+        return;
+      }
+      setForm(response.data);
+      setCheckedAt(new Date());
+    } catch (error) {
+      console.error("Error fetching form:", error);
+      if (error.response?.status === 404) {
+        setError("Form not found");
+      } else {
+        setError("Failed to load form. Please try again later.");
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (values, { showFieldErrors }) => {
+    postToHost(EMBED_EVENTS.submit, id);
+    uploadController.current = new AbortController();
+    try {
+      setError("");
+      setUploadFailure(null);
+      const response = await submitForm(form, values, {
+        onProgress: setUploadProgress,
+        signal: uploadController.current.signal,
+      });
+      setSubmittedAnswers(buildAnswers(form.fields, values).answers);
+      postToHost(EMBED_EVENTS.success, id, {
+        submissionId: response.data?._id || null,
+      });
+    } catch (error) {
+      postToHost(EMBED_EVENTS.error, id);
+      const fieldErrors = getServerFieldErrors(form, error);
+      if (isSubmitCanceled(error)) {
+        setUploadFailure("canceled");
+      } else if (fieldErrors) {
+        showFieldErrors(fieldErrors);
+      } else if (isRetryableSubmitError(error)) {
+        setUploadFailure("failed");
+      } else {
+        setError(
+          error.response?.data?.error ||
+            "Error submitting form. Please try again."
+        );
+      }
+    } finally {
+      setUploadProgress(null);
+      uploadController.current = null;
+    }
+  };
+
+  // Browsers block an iframe from navigating the host page on its own, so the
+  // redirect is left to embed.js (plain iframes keep the "Continue now" link)
+  const redirectHost = useCallback(
+    (url) => postToHost(EMBED_EVENTS.redirect, id, { url }),
+    [id]
+  );
+
+  const submitAnother = () => {
+    setResponseCount((count) => count + 1);
+    setSubmittedAnswers(null);
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="py-12 text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      );
+    }
+
+    if (!form) {
+      return (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center">
+          <p className="text-red-700">{error || "Form not found"}</p>
+        </div>
+      );
+    }
+
+    const availability = getFormAvailability(form, checkedAt || undefined);
+
+    if (submittedAnswers) {
+      return (
+        <FormConfirmation
+          form={form}
+          answers={submittedAnswers}
+          onSubmitAnother={submitAnother}
+          onRedirect={redirectHost}
+        />
+      );
+    }
+
+    return (
+      <>
+        <div className="mb-6">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">
+            {form.title}
+          </h1>
+          {form.description && (
+            <p className="text-sm sm:text-base text-gray-600 leading-relaxed">
+              {form.description}
+            </p>
+          )}
+        </div>
+
+        {availability.status !== AVAILABILITY.open ? (
+          <FormUnavailable
+            availability={availability}
+            onOpen={() => setCheckedAt(new Date())}
+          />
+        ) : (
+          <>
+            {error && (
+              <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+                <p className="text-sm text-red-700">{error}</p>
+              </div>
+            )}
+
+            <FormRenderer
+              key={responseCount}
+              definition={form}
+              onSubmit={handleSubmit}
+            >
+              {(formik) => (
+                <UploadStatus
+                  progress={uploadProgress}
+                  failure={uploadFailure}
+                  onCancel={() => uploadController.current?.abort()}
+                  onRetry={formik.submitForm}
+                />
+              )}
+            </FormRenderer>
+          </>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <>
+      <Head>
+        <title>{form?.title || "Form"}</title>
+      </Head>
+      <div ref={containerRef} className="bg-white p-4 sm:p-6">
+        {renderContent()}
+      </div>
+    </>
+  );
+}
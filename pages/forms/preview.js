@@ -0,0 +1,79 @@
+import { useState, useEffect } from "react";
+import FormRenderer from "../../components/FormRenderer";
+import { PREVIEW_READY, PREVIEW_UPDATE } from "../../lib/formPreview";
+
+// Renders the builder's unsaved form definition, which the parent window
+// sends over postMessage. Only messages from this origin are accepted and
+// submitting only runs validation.
+export default function FormPreview() {
+  const [form, setForm] = useState(null);
+  const [passed, setPassed] = useState(false);
+
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.origin !== window.location.origin) return;
+      if (event.data?.type === PREVIEW_UPDATE && event.data.form) {
+        setForm(event.data.form);
+        setPassed(false);
+      }
+    };
+    window.addEventListener("message", handleMessage);
+    window.parent?.postMessage({ type: PREVIEW_READY }, window.location.origin);
+    return () => window.removeEventListener("message", handleMessage);
+  }, []);
+
+  if (!form) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-12 text-center">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
+        <div className="card p-6 sm:p-8">
+          <div className="mb-6 sm:mb-8">
+            <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-gray-900 mb-2 sm:mb-3">
+              {form.title}
+            </h1>
+            {form.description && (
+              <p className="text-sm sm:text-base text-gray-600 leading-relaxed">
+                {form.description}
+              </p>
+            )}
+          </div>
+
+          {form.fields.length === 0 ? (
+            <p className="py-6 text-center text-sm text-gray-500">
+              Add fields to the form to preview them here.
+            </p>
+          ) : (
+            <FormRenderer
+              definition={form}
+              submitLabel="Test Submit"
+              onSubmit={() => setPassed(true)}
+              onCancel={(formik) => {
+                formik.resetForm();
+                setPassed(false);
+              }}
+              cancelLabel="Reset"
+            >
+              {() =>
+                passed && (
+                  <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+                    <p className="text-sm text-green-800">
+                      Test submit passed: every answer is valid. Nothing was
+                      sent.
+                    </p>
+                  </div>
+                )
+              }
+            </FormRenderer>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
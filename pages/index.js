@@ -1,7 +1,10 @@
 import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import Layout from '../components/Layout';
+import ScheduleBadge from '../components/ScheduleBadge';
 import { formsAPI } from '../lib/api';
+import { countInputFields } from '../lib/formPages';
+import { isFormOpen } from '../lib/formSchedule';
 
 export default function Home() {
   const [forms, setForms] = useState([]);
@@ -93,11 +96,16 @@ export default function Home() {
                       <svg className="h-4 w-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
                       </svg>
-                      <span>{form.fields.length} field{form.fields.length !== 1 ? 's' : ''}</span>
+                      <span>{countInputFields(form.fields)} field{countInputFields(form.fields) !== 1 ? 's' : ''}</span>
+                    </div>
+                    <div className="flex items-center gap-1.5">
+                      <ScheduleBadge form={form} />
+                      {isFormOpen(form) && (
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                          Fill Form
+                        </span>
+                      )}
                     </div>
-                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                      Fill Form
-                    </span>
                   </div>
                 </div>
               </Link>
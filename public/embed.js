@@ -0,0 +1,79 @@
+/*
+ * Embeds a form on any page:
+ *
+ *   <script src="https://forms.example.com/embed.js" data-form-id="FORM_ID" async></script>
+ *
+ * The script replaces itself with an iframe of /embed/FORM_ID, keeps the
+ * iframe as tall as the form and re-dispatches the frame's messages as DOM
+ * events on the iframe (they bubble, so listening on document works too):
+ *
+ *   formembed:submit   the respondent submitted, the upload is in progress
+ *   formembed:success  the submission was saved (detail.submissionId)
+ *   formembed:error    the submission was rejected
+ *
+ * When the form is set to redirect after submitting, this page navigates.
+ * A redirect that passes the answers along is not sent to this page; the
+ * respondent follows it from the thank-you screen instead.
+ *
+ * Optional attributes: data-height (initial height in px, default 600) and
+ * data-title (the iframe's accessible title).
+ *
+ * Message format is defined in lib/embed.js.
+ */
+(function () {
+  var MESSAGE_SOURCE = 'form-embed';
+  // Shared between copies of this script so one listener serves every form
+  var frames = window.__formEmbedFrames;
+  var firstLoad = !frames;
+  if (firstLoad) frames = window.__formEmbedFrames = [];
+
+  function embed(script) {
+    var formId = script.getAttribute('data-form-id');
+    if (!formId || script.getAttribute('data-embedded')) return;
+    script.setAttribute('data-embedded', 'true');
+
+    var origin = new URL(script.src, window.location.href).origin;
+    var iframe = document.createElement('iframe');
+    iframe.src = origin + '/embed/' + encodeURIComponent(formId);
+    iframe.title = script.getAttribute('data-title') || 'Form';
+    iframe.setAttribute('loading', 'lazy');
+    iframe.style.width = '100%';
+    iframe.style.border = '0';
+    iframe.style.height = (parseInt(script.getAttribute('data-height'), 10) || 600) + 'px';
+
+    script.parentNode.insertBefore(iframe, script.nextSibling);
+    frames.push({ iframe: iframe, origin: origin });
+  }
+
+  function handleMessage(event) {
+    var data = event.data;
+    if (!data || data.source !== MESSAGE_SOURCE) return;
+
+    for (var i = 0; i < frames.length; i++) {
+      var frame = frames[i];
+      if (frame.iframe.contentWindow !== event.source || frame.origin !== event.origin) continue;
+
+      if (data.type === 'resize') {
+        if (data.height > 0) frame.iframe.style.height = data.height + 'px';
+      } else if (data.type === 'redirect') {
+        // The form's thank-you redirect; only web addresses are followed
+        if (/^https?:\/\//i.test(data.url)) window.location.assign(data.url);
+      } else {
+        frame.iframe.dispatchEvent(new CustomEvent('formembed:' + data.type, {
+          bubbles: true,
+          detail: data
+        }));
+      }
+      return;
+    }
+  }
+
+  if (firstLoad) {
+    window.addEventListener('message', handleMessage);
+  }
+
+  var scripts = document.querySelectorAll('script[data-form-id]');
+  for (var i = 0; i < scripts.length; i++) {
+    embed(scripts[i]);
+  }
+})();